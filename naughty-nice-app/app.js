@@ -0,0 +1,1144 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+
+const { initTwitterClient, nitterPool } = require('./sources/twitter');
+const { getSource, listSources, describeSources } = require('./sources');
+const { ANALYZE_BUDGET_MS, SCORING_MODES, fetchSource, analyzeSource, runSources } = require('./lib/run-sources');
+const { calculateWeightedScore } = require('./lib/scoring');
+const { responseCache } = require('./lib/cache');
+const { openEventStream, refuseEventStream } = require('./lib/sse');
+const { recordAnalysis, getHistory } = require('./lib/history');
+const { anthropic, CLAUDE_MODEL } = require('./lib/anthropic');
+const { ARCHETYPES, classifyPersonas } = require('./lib/personas');
+const { loadProfiles, getProfile, listProfileNames, describeProfiles } = require('./lib/profiles');
+const { parseIdentities, resolveIdentities } = require('./lib/identity');
+const {
+  BATCH_MAX_USERS,
+  BATCH_CONCURRENCY,
+  mapWithConcurrency,
+  summarizeResult,
+  buildLeaderboard,
+  leaderboardToCsv,
+  storeBatch,
+  getBatch
+} = require('./lib/batch');
+const { COMPARE_MAX_USERS, compareUsers } = require('./lib/compare');
+const { parseWindow, applyWindow, combineTrends } = require('./lib/timeline');
+const { recorder } = require('./lib/recorder');
+const { createSantaTools, runSantaTurn } = require('./lib/santa-tools');
+const {
+  MAX_MESSAGE_CHARS,
+  createSession,
+  getSession,
+  deleteSession,
+  recordExchange,
+  historyFor,
+  describeSession
+} = require('./lib/chat-sessions');
+const { rateLimit, describeRateLimits } = require('./lib/rate-limit');
+const { describeQuotas } = require('./lib/quota');
+const { checkHealth } = require('./lib/health');
+const { gauge, renderMetrics, countRequests } = require('./lib/metrics');
+
+const app = express();
+// Behind a proxy, req.ip (the rate-limit key) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+app.use(cors());
+app.use(countRequests);
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Per-client request limits (lib/rate-limit.js). The analyze-all POST and
+// its streaming twin run the same pipeline, so they share one counter.
+const limits = {
+  analyze: rateLimit('analyze'),
+  analyzeAll: rateLimit('analyzeAll'),
+  explain: rateLimit('explain'),
+  batch: rateLimit('batch'),
+  compare: rateLimit('compare'),
+  santaChat: rateLimit('santaChat'),
+  chatSessions: rateLimit('chatSessions'),
+  history: rateLimit('history'),
+  batchStatus: rateLimit('batchStatus'),
+  health: rateLimit('health'),
+  metrics: rateLimit('metrics')
+};
+
+initTwitterClient().catch(() => {});
+
+// Warm the response cache: persisted entries first, then the curated fixtures
+// (fixtures never overwrite a real cached answer)
+const CACHE_SEED_FILE = process.env.CACHE_SEED_FILE || path.join(__dirname, 'fixtures', 'cache-seed.json');
+const restoredEntries = responseCache.restore();
+// Recording or replaying exercises the real fetchers and parsers, so no seed data
+const seededEntries = recorder.mode === 'live' ? responseCache.seedFrom(require(CACHE_SEED_FILE)) : 0;
+console.log(`📦 Response cache ready (${restoredEntries} restored, ${seededEntries} seeded)`);
+
+// Scoring profiles are validated here, so a bad config stops startup
+const SCORING_PROFILES_FILE = process.env.SCORING_PROFILES_FILE || path.join(__dirname, 'config', 'scoring-profiles.json');
+console.log(`🎚️ Loaded ${loadProfiles(SCORING_PROFILES_FILE)} scoring profiles (${listProfileNames().join(', ')})`);
+
+// Demo data for when Twitter API is unavailable
+const DEMO_USERS = {
+  'santa': {
+    name: 'Santa Claus',
+    profileImage: 'https://pbs.twimg.com/profile_images/1545476569_400x400.png',
+    description: 'Delivering joy worldwide since forever! 🎅🎄',
+    followers: 999999999,
+    following: 1,
+    tweets: 25000
+  },
+  'grinch': {
+    name: 'The Grinch',
+    profileImage: 'https://pbs.twimg.com/profile_images/grinch_400x400.png',
+    description: 'I hate Christmas. And noise. And everything.',
+    followers: 666,
+    following: 0,
+    tweets: 500
+  }
+};
+
+// ==========================================
+// DEMO DATA FOR ALL SOURCES
+// ==========================================
+const DEMO_MULTI_SOURCE = {
+  'elonmusk': {
+    reddit: {
+      score: 42,
+      verdict: 'NAUGHTY',
+      niceCount: 8,
+      naughtyCount: 15,
+      commentsAnalyzed: 45,
+      found: true
+    },
+    news: {
+      score: 38,
+      verdict: 'NAUGHTY',
+      niceCount: 12,
+      naughtyCount: 22,
+      snippetsAnalyzed: 30,
+      found: true
+    },
+    github: {
+      score: 75,
+      verdict: 'NICE',
+      repos: 12,
+      followers: 150,
+      recentActivity: 25,
+      found: true
+    }
+  },
+  'nasa': {
+    reddit: {
+      score: 92,
+      verdict: 'NICE',
+      niceCount: 35,
+      naughtyCount: 2,
+      commentsAnalyzed: 50,
+      found: true
+    },
+    news: {
+      score: 95,
+      verdict: 'NICE',
+      niceCount: 40,
+      naughtyCount: 1,
+      snippetsAnalyzed: 35,
+      found: true
+    },
+    github: {
+      score: 100,
+      verdict: 'NICE',
+      repos: 500,
+      followers: 15000,
+      recentActivity: 100,
+      found: true
+    }
+  },
+  'billgates': {
+    reddit: {
+      score: 68,
+      verdict: 'NICE',
+      niceCount: 20,
+      naughtyCount: 8,
+      commentsAnalyzed: 40,
+      found: true
+    },
+    news: {
+      score: 72,
+      verdict: 'NICE',
+      niceCount: 28,
+      naughtyCount: 12,
+      snippetsAnalyzed: 45,
+      found: true
+    },
+    github: {
+      score: 85,
+      verdict: 'NICE',
+      repos: 30,
+      followers: 8500,
+      recentActivity: 15,
+      found: true
+    }
+  },
+  'taylorswift13': {
+    reddit: {
+      score: 88,
+      verdict: 'NICE',
+      niceCount: 42,
+      naughtyCount: 5,
+      commentsAnalyzed: 50,
+      found: true
+    },
+    news: {
+      score: 82,
+      verdict: 'NICE',
+      niceCount: 35,
+      naughtyCount: 8,
+      snippetsAnalyzed: 40,
+      found: true
+    },
+    github: {
+      score: 50,
+      verdict: 'NICE',
+      repos: 0,
+      followers: 0,
+      recentActivity: 0,
+      found: false
+    }
+  },
+  'kanyewest': {
+    reddit: {
+      score: 28,
+      verdict: 'NAUGHTY',
+      niceCount: 5,
+      naughtyCount: 25,
+      commentsAnalyzed: 50,
+      found: true
+    },
+    news: {
+      score: 22,
+      verdict: 'NAUGHTY',
+      niceCount: 8,
+      naughtyCount: 35,
+      snippetsAnalyzed: 50,
+      found: true
+    },
+    github: {
+      score: 50,
+      verdict: 'NICE',
+      repos: 0,
+      followers: 0,
+      recentActivity: 0,
+      found: false
+    }
+  },
+  'drew_mailen': {
+    reddit: {
+      score: 78,
+      verdict: 'NICE',
+      niceCount: 18,
+      naughtyCount: 3,
+      commentsAnalyzed: 25,
+      found: true
+    },
+    news: {
+      score: 65,
+      verdict: 'NICE',
+      niceCount: 8,
+      naughtyCount: 4,
+      snippetsAnalyzed: 12,
+      found: true
+    },
+    github: {
+      score: 88,
+      verdict: 'NICE',
+      repos: 45,
+      followers: 120,
+      recentActivity: 85,
+      found: true
+    }
+  }
+};
+
+const DEMO_NICE_TWEETS = [
+  { text: "I love helping my community! Just volunteered at the local shelter today. So grateful for the opportunity! 💕" },
+  { text: "Thank you everyone for the amazing support! You're all wonderful and I appreciate each one of you! 🙏" },
+  { text: "Congratulations to the team on this incredible achievement! So happy for everyone involved!" },
+  { text: "Spread kindness wherever you go. A simple smile can make someone's day beautiful! 😊" },
+  { text: "Feeling blessed and thankful for my amazing family and friends. Hope everyone has a great day!" },
+  { text: "Just donated to charity. If you can help others, please do! Together we can make a difference." },
+  { text: "Love seeing people support each other! This community is fantastic and inspiring!" },
+  { text: "Happy birthday to my best friend! You're the most wonderful person I know! 🎂" }
+];
+
+const DEMO_NAUGHTY_TWEETS = [
+  { text: "This is so stupid. I hate when people do this garbage. So annoying! 😤" },
+  { text: "Everyone is a loser except me. These idiots don't know what they're doing." },
+  { text: "Terrible service again. The worst company ever. Complete failure!" },
+  { text: "I don't care what anyone thinks. Shut up and leave me alone." },
+  { text: "What a pathetic display. Disgusting behavior from everyone involved." },
+  { text: "Stop being so annoying! This is the dumbest thing I've ever seen!" }
+];
+
+const DEMO_NEUTRAL_TWEETS = [
+  { text: "Just had coffee this morning. Weather is okay I guess." },
+  { text: "Working on a new project. Will share updates later." },
+  { text: "Watched a movie last night. It was interesting." },
+  { text: "Traffic was busy today. Made it to work on time though." }
+];
+
+function generateDemoTweets(username) {
+  // Generate a deterministic "random" mix based on username
+  const hash = username.split('').reduce((a, b) => a + b.charCodeAt(0), 0);
+  const niceRatio = (hash % 100) / 100;
+  
+  let tweets = [];
+  const totalTweets = 50;
+  
+  for (let i = 0; i < totalTweets; i++) {
+    const rand = ((hash * (i + 1)) % 100) / 100;
+    if (rand < niceRatio * 0.6) {
+      tweets.push(DEMO_NICE_TWEETS[i % DEMO_NICE_TWEETS.length]);
+    } else if (rand < niceRatio * 0.6 + (1 - niceRatio) * 0.6) {
+      tweets.push(DEMO_NAUGHTY_TWEETS[i % DEMO_NAUGHTY_TWEETS.length]);
+    } else {
+      tweets.push(DEMO_NEUTRAL_TWEETS[i % DEMO_NEUTRAL_TWEETS.length]);
+    }
+  }
+  
+  return tweets;
+}
+
+// Validate the optional `mode` ("lexicon" default, or "llm"), `profile`
+// (a name from config/scoring-profiles.json) and time-window params
+// (`since`, `until`, `recencyHalfLifeDays`; see lib/timeline.js)
+function scoringOptions({ mode, profile, ...windowParams }) {
+  if (mode !== undefined && !SCORING_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${SCORING_MODES.join(', ')}` };
+  }
+  const scoringProfile = getProfile(profile);
+  if (!scoringProfile) {
+    return { error: `profile must be one of: ${listProfileNames().join(', ')}` };
+  }
+  const { window, error } = parseWindow(windowParams);
+  if (error) return { error };
+  return { mode, profile: scoringProfile, window };
+}
+
+// Validate the optional `identities` map ({ twitter, reddit, github, newsQuery };
+// a JSON string on GET routes) and `discover` flag (default on)
+function identityOptions({ identities, discover }) {
+  const parsed = parseIdentities(identities);
+  if (parsed.error) return { error: parsed.error };
+  return { identities: parsed.identities, discover: discover !== false && discover !== 'false' };
+}
+
+// Search Twitter by username - Uses Nitter (FREE!) with Twitter API fallback
+app.post('/api/analyze', limits.analyze, async (req, res) => {
+  try {
+    const { username, demo } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    const { mode, profile, window, error: optionsError } = scoringOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    // Clean username (remove @ if present)
+    const cleanUsername = username.replace('@', '').trim();
+    
+    console.log(`\n========================================`);
+    console.log(`Analyzing user: @${cleanUsername}`);
+    console.log(`========================================`);
+    
+    let user = null;
+    let tweets = [];
+    let useDemo = demo === true;
+    let dataSource = 'demo';
+    
+    let cacheStatus = null;
+    
+    if (!useDemo) {
+      // TRY 1: Nitter (FREE!) then the Twitter API, behind the response cache
+      // (which is also seeded with curated tweets for well-known accounts)
+      console.log('📡 Fetching tweets...');
+      try {
+        const { data, cache } = await fetchSource(getSource('twitter'), cleanUsername);
+        if (data.found) {
+          const windowed = applyWindow(getSource('twitter'), data, window);
+          if (windowed.bounded && windowed.items === 0) {
+            return res.status(404).json({ error: `No tweets from @${cleanUsername} in that time window`, window });
+          }
+          tweets = windowed.data.tweets;
+          user = data.user;
+          dataSource = data.via;
+          cacheStatus = cache.status;
+          console.log(`✅ Got ${tweets.length} tweets from ${dataSource} (cache: ${cacheStatus})`);
+        }
+      } catch (err) {
+        console.log('❌ Twitter fetch failed:', err.message);
+      }
+    }
+    
+    // TRY 2: Fall back to demo mode
+    if (!user || tweets.length === 0) {
+      useDemo = true;
+    }
+    
+    // Fall back to demo mode if Twitter API fails or no tweets found
+    if (useDemo || !user || tweets.length === 0) {
+      console.log(`Using demo mode for: ${cleanUsername}`);
+      
+      // Generate demo user data
+      const demoUser = DEMO_USERS[cleanUsername] || {
+        name: cleanUsername.charAt(0).toUpperCase() + cleanUsername.slice(1),
+        profileImage: `https://api.dicebear.com/7.x/avataaars/png?seed=${cleanUsername}`,
+        description: `Demo profile for @${cleanUsername}`,
+        followers: Math.floor(Math.random() * 100000) + 1000,
+        following: Math.floor(Math.random() * 1000) + 100,
+        tweets: Math.floor(Math.random() * 10000) + 500
+      };
+      
+      user = {
+        username: cleanUsername,
+        ...demoUser
+      };
+      
+      tweets = generateDemoTweets(cleanUsername);
+    }
+    
+    // Analyze the tweets (mode "llm" classifies each one with Claude)
+    const analysis = await analyzeSource(getSource('twitter'), { tweets }, { mode, profile, window: useDemo ? null : window });
+    
+    console.log(`📊 Analysis complete: ${analysis.verdict} (score: ${analysis.score})`);
+    console.log(`📡 Data source: ${dataSource}`);
+    
+    // Demo verdicts are made up, so they stay out of the history
+    if (!useDemo) {
+      recordAnalysis({
+        username: cleanUsername,
+        endpoint: 'analyze',
+        score: analysis.score,
+        verdict: analysis.verdict,
+        breakdown: { twitter: { ...analysis, found: true, dataSource } },
+        dataSource,
+        profile: profile.name,
+        mode,
+        window
+      }).catch(err => console.log('⚠️ Could not record history:', err.message));
+    }
+    
+    res.json({
+      user,
+      analysis,
+      personas: classifyPersonas({ twitter: { tweets, user } }),
+      isDemo: useDemo,
+      dataSource,
+      profile: profile.name,
+      window: useDemo ? null : window,
+      cache: cacheStatus
+    });
+    
+  } catch (error) {
+    console.error('Analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze user. Please try again.' });
+  }
+});
+
+// ==========================================
+// MULTI-SOURCE ANALYZE ENDPOINT
+// ==========================================
+// Shared by the JSON and streaming endpoints; `onEvent` gets per-source progress
+// `identities` is the caller's explicit map ({ twitter, reddit, github, newsQuery });
+// with `discover` on, gaps are filled from their GitHub profile once it's confirmed as theirs (lib/identity.js).
+// `window` narrows every source to a date range (see lib/timeline.js).
+async function analyzeAllSources(cleanUsername, { signal, onEvent = () => {}, mode, profile = getProfile(), window = null, identities = {}, discover = true, record = true } = {}) {
+  console.log(`\n========================================`);
+  console.log(`🔍 MULTI-SOURCE ANALYSIS: @${cleanUsername}`);
+  console.log(`========================================`);
+  
+  // Decide which handle to look up on each platform. The GitHub lookup this
+  // may need comes out of the same ANALYZE_BUDGET_MS as the sources below.
+  const startedAt = Date.now();
+  const discoveryBudget = AbortSignal.timeout(ANALYZE_BUDGET_MS);
+  const identity = await resolveIdentities(cleanUsername, identities, {
+    signal: signal ? AbortSignal.any([discoveryBudget, signal]) : discoveryBudget,
+    discover
+  });
+  onEvent({ type: 'identity', ...identity });
+  const linked = identity.links.filter(link => link.applied && link.via !== 'same handle');
+  if (linked.length > 0) {
+    console.log(`🔗 Linked identities: ${linked.map(link => `${link.key}=${link.handle} (${link.via})`).join(', ')}`);
+  }
+  
+  // Fetch every source in parallel; slow ones are cut off and marked timedOut
+  const { sources, rawData, primaryUser: sourceUser, timedOut } = await runSources(cleanUsername, {
+    budgetMs: Math.max(0, ANALYZE_BUDGET_MS - (Date.now() - startedAt)),
+    signal, onEvent, mode, profile, window, identities: identity.resolved
+  });
+  let primaryUser = sourceUser;
+  
+  // A short one-word news query ("dan") that is only the handle, with no
+  // display name or explicit query behind it, matches stories about anyone:
+  // show what it found, but keep it out of the score
+  const newsLink = identity.links.find(link => link.key === 'newsQuery' && link.applied);
+  if (sources.news && sources.news.ambiguousQuery && newsLink && newsLink.via === 'same handle') {
+    sources.news = { ...sources.news, excluded: 'ambiguous news query' };
+  }
+  
+  // Calculate weighted score
+  const result = calculateWeightedScore(sources, profile.weights);
+  
+  console.log(`\n========================================`);
+  console.log(`🎯 FINAL SCORE: ${result.finalScore}/100 - ${result.verdict}`);
+  console.log(`📊 Sources analyzed: ${result.sourcesFound}/${listSources().length}`);
+  console.log(`========================================\n`);
+  
+  if (record && result.sourcesFound > 0) {
+    recordAnalysis({
+      username: cleanUsername,
+      endpoint: 'analyze-all',
+      score: result.finalScore,
+      verdict: result.verdict,
+      breakdown: result.breakdown,
+      dataSource: 'multi-source',
+      profile: profile.name,
+      mode,
+      window
+    }).catch(err => console.log('⚠️ Could not record history:', err.message));
+  }
+  
+  // No source could describe the user, so build a generic profile
+  if (!primaryUser) {
+    primaryUser = {
+      username: cleanUsername,
+      name: cleanUsername,
+      profileImage: `https://unavatar.io/${cleanUsername}`,
+      description: `Multi-platform analysis for ${cleanUsername}`,
+      followers: '—',
+      following: '—',
+      tweets: '—'
+    };
+  }
+  
+  return {
+    user: primaryUser,
+    finalScore: result.finalScore,
+    verdict: result.verdict,
+    breakdown: result.breakdown,
+    personas: classifyPersonas(rawData),
+    identity,
+    explanation: result.explanation,
+    sourcesFound: result.sourcesFound,
+    scoringMode: mode || 'lexicon',
+    profile: profile.name,
+    window,
+    // Month by month, each source's monthly scores weighted like the final score
+    trend: combineTrends(result.breakdown, profile.weights, calculateWeightedScore),
+    timedOut,
+    partial: timedOut.length > 0,
+    weights: profile.weights,
+    sources: describeSources(profile.tuning)
+  };
+}
+
+app.post('/api/analyze-all', limits.analyzeAll, async (req, res) => {
+  try {
+    const { username } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    const { mode, profile, window, error: optionsError } = scoringOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const { identities, discover, error: identityError } = identityOptions(req.body);
+    if (identityError) {
+      return res.status(400).json({ error: identityError });
+    }
+    
+    const cleanUsername = username.replace('@', '').trim();
+    res.json(await analyzeAllSources(cleanUsername, { mode, profile, window, identities, discover }));
+    
+  } catch (error) {
+    console.error('Multi-source analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze user. Please try again.' });
+  }
+});
+
+// How the final number was reached: per-source score, default and effective
+// (redistributed) weight, contribution, and each source's top evidence items.
+// Served from the response cache when warm, and not recorded in the history.
+app.get('/api/analyze-all/explain', limits.explain, async (req, res) => {
+  try {
+    const { username } = req.query;
+    
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    const { mode, profile, window, error: optionsError } = scoringOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    const { identities, discover, error: identityError } = identityOptions(req.query);
+    if (identityError) {
+      return res.status(400).json({ error: identityError });
+    }
+    
+    const cleanUsername = username.replace('@', '').trim();
+    const result = await analyzeAllSources(cleanUsername, { mode, profile, window, identities, discover, record: false });
+    
+    const evidence = {};
+    for (const [source, entry] of Object.entries(result.breakdown)) {
+      if (entry.found !== false) {
+        evidence[source] = { score: entry.score, evidence: entry.evidence || [] };
+      }
+    }
+    
+    res.json({
+      username: cleanUsername,
+      finalScore: result.finalScore,
+      verdict: result.verdict,
+      scoringMode: result.scoringMode,
+      profile: result.profile,
+      identity: result.identity,
+      timedOut: result.timedOut,
+      explanation: result.explanation,
+      evidence
+    });
+    
+  } catch (error) {
+    console.error('Explain error:', error);
+    res.status(500).json({ error: 'Failed to explain score. Please try again.' });
+  }
+});
+
+// Same analysis as a Server-Sent Events stream: one event per source
+// start/attempt/fallback/done/timeout/error, then `result` with the final payload.
+// Bad input is refused with an `error` event too.
+app.get('/api/analyze-all/stream', limits.analyzeAll, async (req, res) => {
+  const { username } = req.query;
+  
+  if (!username) {
+    return refuseEventStream(res, 'Username is required');
+  }
+  const { mode, profile, window, error: optionsError } = scoringOptions(req.query);
+  if (optionsError) {
+    return refuseEventStream(res, optionsError);
+  }
+  const { identities, discover, error: identityError } = identityOptions(req.query);
+  if (identityError) {
+    return refuseEventStream(res, identityError);
+  }
+  
+  const cleanUsername = username.replace('@', '').trim();
+  const stream = openEventStream(res);
+  
+  try {
+    stream.send('sources', { sources: describeSources(profile.tuning) });
+    const result = await analyzeAllSources(cleanUsername, {
+      signal: stream.signal,
+      mode,
+      profile,
+      window,
+      identities,
+      discover,
+      onEvent: ({ type, ...details }) => stream.send(type, details)
+    });
+    stream.send('result', result);
+  } catch (error) {
+    console.error('Multi-source stream error:', error);
+    stream.send('error', { error: 'Failed to analyze user. Please try again.' });
+  } finally {
+    stream.end();
+  }
+});
+
+// ==========================================
+// BATCH ANALYSIS & LEADERBOARD
+// ==========================================
+// Accepts ["a", "@b"], [{ username, identities }] or a "a, b\nc" string.
+// Handles are letters, digits, _ and - only.
+// Returns { users: [{ username, identities }] } or { error }.
+const BATCH_HANDLE_PATTERN = /^[A-Za-z0-9_-]{1,39}$/;
+
+function parseBatchUsers(input, { min = 1, max = BATCH_MAX_USERS } = {}) {
+  const list = typeof input === 'string' ? input.split(/[\s,]+/) : input;
+  if (!Array.isArray(list)) {
+    return { error: 'usernames must be an array or a comma-separated string' };
+  }
+
+  const users = [];
+  const seen = new Set();
+  for (const item of list) {
+    const entry = typeof item === 'string' ? { username: item } : item;
+    if (!entry || typeof entry.username !== 'string') {
+      return { error: 'each entry in usernames must be a string or { username, identities }' };
+    }
+    const username = entry.username.replace('@', '').trim();
+    if (!username || seen.has(username.toLowerCase())) continue;
+    if (!BATCH_HANDLE_PATTERN.test(username)) {
+      return { error: `${username.slice(0, 40)}: usernames may only contain letters, digits, _ or -` };
+    }
+
+    const { identities, error } = parseIdentities(entry.identities);
+    if (error) return { error: `${username}: ${error}` };
+    seen.add(username.toLowerCase());
+    users.push({ username, identities });
+  }
+
+  if (users.length < min) {
+    return { error: min === 1 ? 'At least one username is required' : `At least ${min} different usernames are required` };
+  }
+  if (users.length > max) {
+    return { error: `At most ${max} usernames per request` };
+  }
+  return { users };
+}
+
+// format "csv" or "json" downloads the ranking; anything else is the plain API response
+function sendBatch(res, batch, format) {
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="naughty-nice-leaderboard-${batch.id}.csv"`);
+    return res.send(leaderboardToCsv(batch.ranking));
+  }
+  if (format === 'json') {
+    res.set('Content-Disposition', `attachment; filename="naughty-nice-leaderboard-${batch.id}.json"`);
+  }
+  res.json(batch);
+}
+
+app.post('/api/analyze-batch', limits.batch, async (req, res) => {
+  try {
+    const { users, error } = parseBatchUsers(req.body.usernames);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { mode, profile, window, error: optionsError } = scoringOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    // Callers may go slower than the server limit, never faster
+    const concurrency = Math.min(Math.max(Number(req.body.concurrency) || BATCH_CONCURRENCY, 1), BATCH_CONCURRENCY);
+    
+    // Stop starting new lookups if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    
+    console.log(`\n🏆 BATCH ANALYSIS: ${users.length} users, ${concurrency} at a time`);
+    const failed = [];
+    const rows = await mapWithConcurrency(users, concurrency, async ({ username, identities }) => {
+      try {
+        const result = await analyzeAllSources(username, { mode, profile, window, identities, signal: controller.signal });
+        return summarizeResult(username, result);
+      } catch (err) {
+        console.log(`   ❌ ${username} failed: ${err.message}`);
+        failed.push({ username, error: err.message });
+        return null;
+      }
+    }, { signal: controller.signal });
+    
+    if (controller.signal.aborted) return;
+    
+    const batch = storeBatch({
+      total: users.length,
+      profile: profile.name,
+      scoringMode: mode || 'lexicon',
+      ...buildLeaderboard(rows.filter(Boolean)),
+      failed
+    });
+    console.log(`🏆 Batch ${batch.id}: ${batch.ranking.length} ranked, ${batch.unscored.length} unscored, ${failed.length} failed`);
+    
+    sendBatch(res, batch, req.query.format || req.body.format);
+    
+  } catch (error) {
+    console.error('Batch analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze batch. Please try again.' });
+  }
+});
+
+// Re-download a recent batch: ?format=csv|json
+app.get('/api/analyze-batch/:id', limits.batchStatus, (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found (only recent batches are kept)' });
+  }
+  sendBatch(res, batch, req.query.format);
+});
+
+// Head-to-head: per-source differences, winner per category, archetype overlap
+app.post('/api/compare', limits.compare, async (req, res) => {
+  try {
+    const { users, error } = parseBatchUsers(req.body.usernames, { min: 2, max: COMPARE_MAX_USERS });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { mode, profile, window, error: optionsError } = scoringOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    
+    console.log(`\n⚔️ COMPARE: ${users.map(user => '@' + user.username).join(' vs ')}`);
+    const rows = await mapWithConcurrency(users, BATCH_CONCURRENCY, async ({ username, identities }) =>
+      summarizeResult(username, await analyzeAllSources(username, { mode, profile, window, identities }))
+    );
+    
+    const comparison = compareUsers(rows);
+    console.log(`⚔️ Winner: ${comparison.winner ? '@' + comparison.winner : 'tie'}`);
+    
+    res.json({
+      profile: profile.name,
+      scoringMode: mode || 'lexicon',
+      ...comparison
+    });
+    
+  } catch (error) {
+    console.error('Compare error:', error);
+    res.status(500).json({ error: 'Failed to compare users. Please try again.' });
+  }
+});
+
+// ==========================================
+// SANTA CHAT API - Claude-powered analysis
+// ==========================================
+// "@a vs @b" (or "a versus b") anywhere in a chat message
+const MATCHUP_REGEX = /@?([A-Za-z0-9_]{1,15})\s+(?:vs\.?|versus)\s+@?([A-Za-z0-9_]{1,15})\b/i;
+
+// Same cached Twitter lookup as the analyzer; never throws
+async function fetchTweetsForSanta(handle) {
+  try {
+    const { data } = await fetchSource(getSource('twitter'), handle);
+    if (data.found) {
+      return { tweets: data.tweets, user: data.user };
+    }
+  } catch (err) {
+    console.log(`⚠️ Could not fetch tweets for Santa (@${handle}):`, err.message);
+  }
+  return { tweets: [], user: null };
+}
+
+// What Santa can look up for himself mid-conversation (lib/santa-tools.js);
+// get_score is the full analysis, minus the history entry
+const santaTools = createSantaTools({
+  scoreUser: (username, { identities, signal }) => analyzeAllSources(username, { identities, signal, record: false })
+});
+
+// Shared by the JSON and streaming chat endpoints: fetches whatever tweets the
+// message is about and builds the Claude request on top of the session's
+// history (lib/chat-sessions.js). Resolves { request, context, userTurn }:
+// `context` is what the reply tells the browser about the lookup, `userTurn`
+// what to store once Santa has answered.
+async function prepareSantaChat({ username, message }, session = null) {
+  // "@a vs @b" turns the chat into a head-to-head roast
+  const matchupMatch = !username && message ? message.match(MATCHUP_REGEX) : null;
+  const matchupHandles = matchupMatch && matchupMatch[1].toLowerCase() !== matchupMatch[2].toLowerCase()
+    ? [matchupMatch[1], matchupMatch[2]]
+    : null;
+  
+  console.log(`\n🎅 SANTA CHAT: Analyzing ${matchupHandles ? matchupHandles.map(h => '@' + h).join(' vs ') : '@' + (username || 'conversation')}`);
+  
+  let twitterData = null;
+  let tweets = [];
+  let matchup = null;
+  
+  // If a username is provided, fetch their Twitter data
+  if (username) {
+    const cleanUsername = username.replace('@', '').trim();
+    ({ tweets, user: twitterData } = await fetchTweetsForSanta(cleanUsername));
+  } else if (matchupHandles) {
+    matchup = await Promise.all(matchupHandles.map(async handle => ({ username: handle, ...await fetchTweetsForSanta(handle) })));
+  }
+  
+  // Build the system prompt for Santa
+  const systemPrompt = `You are Santa Claus, reviewing social media behavior for the Naughty/Nice list. You speak with warmth but also brutal honesty. You have a great sense of humor and don't hold back your observations.
+
+When given a Twitter username and their tweets, you analyze their online persona and classify them into one or more of these categories:
+
+${ARCHETYPES.map(a => `${a.emoji} **${a.name.toUpperCase()}** - ${a.description}`).join('\n')}
+
+Your responses should be:
+1. Start with a festive greeting
+2. Give them a VIBE CHECK with their primary classification(s)
+3. Provide specific observations from their tweets with quotes when relevant
+4. End with a VERDICT: NAUGHTY or NICE (be honest!)
+5. Give them a score out of 100 on the Nice-O-Meter
+
+Be funny, sarcastic when appropriate, but also genuine. Use Christmas puns. Reference coal and presents.
+
+You can check up on people yourself with your tools: lookup_twitter, lookup_reddit, lookup_github and search_news for one platform each, and get_score for the official multi-source Naughty-or-Nice score. Use them whenever someone asks about a person and you don't already have the data, including follow-ups like "what about their GitHub?" (use the handle from earlier in the conversation). Quote and cite what you actually found (a Reddit comment, a force push, a headline) and never invent posts or scores you didn't look up. If a lookup finds nothing, say so and judge what you can.
+
+If there's nobody to look up, just have a fun chat as Santa about social media behavior!${matchup ? `
+
+This time it's a HEAD-TO-HEAD: you're judging two users against each other. Roast each of them separately (vibe check and Nice-O-Meter score for both), then crown the nicer one and hand the other the biggest lump of coal. If one of them has no tweets, make something up from their username.` : ''}`;
+
+  // Earlier turns come from the server-side session, trimmed to the token budget
+  const history = session ? historyFor(session) : { messages: [], dropped: 0 };
+  const messages = [...history.messages];
+  
+  // Add current message
+  let userMessage = message || '';
+  
+  if (username && tweets.length > 0) {
+    const tweetSummary = tweets.slice(0, 15).map((t, i) => `${i + 1}. "${t.text}"`).join('\n');
+    userMessage = `Please analyze Twitter user @${username}. Here are their recent tweets:\n\n${tweetSummary}\n\nGive me the full Santa scorecard on this person!`;
+  } else if (username && tweets.length === 0) {
+    userMessage = `I want you to analyze @${username} but I couldn't find any tweets. Just give me a funny made-up assessment based on their username!`;
+  } else if (matchup) {
+    const sections = matchup.map(({ username: handle, tweets: theirTweets }) => theirTweets.length > 0
+      ? `@${handle}'s recent tweets:\n${theirTweets.slice(0, 10).map((t, i) => `${i + 1}. "${t.text}"`).join('\n')}`
+      : `@${handle}: no tweets found.`);
+    userMessage = `${message}\n\n${sections.join('\n\n')}\n\nWho's nicer? Give me the full head-to-head!`;
+  }
+  
+  messages.push({
+    role: 'user',
+    content: userMessage
+  });
+
+  return {
+    request: {
+      model: CLAUDE_MODEL,
+      max_tokens: 1024,
+      system: systemPrompt,
+      messages
+    },
+    context: {
+      username: username || null,
+      twitterData,
+      tweetsFound: tweets.length,
+      matchup: matchup && matchup.map(({ username: handle, tweets: theirTweets }) => ({ username: handle, tweetsFound: theirTweets.length })),
+      ...(session && { sessionId: session.id, historyTurns: history.messages.length, droppedTurns: history.dropped })
+    },
+    userTurn: { text: message || `@${username}`, content: userMessage }
+  };
+}
+
+// Validate a chat request and find its session (optional: without one, Santa
+// answers the single message). Returns { session } or { status, error }.
+function checkSantaChat({ username, message, sessionId, conversationHistory }) {
+  if (!anthropic) {
+    return { status: 500, error: 'Santa Chat is not available. Please add ANTHROPIC_KEY=your-api-key to your .env file and restart the server!' };
+  }
+  if (conversationHistory !== undefined) {
+    return { status: 400, error: 'conversationHistory is no longer accepted: create a session with POST /api/santa-chat/sessions and send its sessionId' };
+  }
+  if (!username && !message) {
+    return { status: 400, error: 'Please provide a username or message' };
+  }
+  if ((username && typeof username !== 'string') || (message && typeof message !== 'string')) {
+    return { status: 400, error: 'username and message must be strings' };
+  }
+  if (message && message.length > MAX_MESSAGE_CHARS) {
+    return { status: 400, error: `Messages are limited to ${MAX_MESSAGE_CHARS} characters` };
+  }
+  if (sessionId === undefined || sessionId === null) {
+    return { session: null };
+  }
+  
+  const session = getSession(sessionId);
+  if (!session) {
+    return { status: 404, error: 'Chat session not found (it may have expired)' };
+  }
+  // One message at a time, or the turns would interleave
+  if (session.busy) {
+    return { status: 409, error: 'Santa is still answering your last message' };
+  }
+  return { session };
+}
+
+app.post('/api/santa-chat', limits.santaChat, async (req, res) => {
+  const { session, status, error: chatError } = checkSantaChat(req.body);
+  if (chatError) {
+    return res.status(status).json({ error: chatError });
+  }
+  
+  try {
+    if (session) session.busy = true;
+    const { request, context, userTurn } = await prepareSantaChat(req.body, session);
+    
+    // Call Claude, running whatever lookups Santa asks for along the way
+    const { text, lookups } = await runSantaTurn(request, { tools: santaTools });
+    const assistantMessage = session ? recordExchange(session, userTurn, text) : text;
+    
+    console.log(`✅ Santa has spoken! (${lookups.length} lookups)`);
+    
+    res.json({
+      message: assistantMessage,
+      ...context,
+      lookups
+    });
+    
+  } catch (error) {
+    console.error('Santa Chat error:', error);
+    res.status(500).json({ error: 'Santa is taking a cookie break. Please try again!' });
+  } finally {
+    if (session) session.busy = false;
+  }
+});
+
+// Same chat as Server-Sent Events, so the reply can be shown as it's written:
+// `context` (preloaded tweets and session, as in the JSON reply), `token` { text } per text delta,
+// `lookup` { tool, input } as Santa starts each tool call, then
+// `done` { message, stopReason, lookups } or `error` { error, partial }. Only a
+// finished reply is added to the session.
+app.post('/api/santa-chat/stream', limits.santaChat, async (req, res) => {
+  const { session, status, error: chatError } = checkSantaChat(req.body);
+  if (chatError) {
+    return res.status(status).json({ error: chatError });
+  }
+  
+  const stream = openEventStream(res);
+  let text = '';
+  
+  try {
+    if (session) session.busy = true;
+    const { request, context, userTurn } = await prepareSantaChat(req.body, session);
+    stream.send('context', context);
+    
+    // The browser leaving aborts the upstream request (and any lookups) too
+    const { stopReason, lookups } = await runSantaTurn(request, {
+      tools: santaTools,
+      stream: true,
+      signal: stream.signal,
+      onText: delta => {
+        text += delta;
+        stream.send('token', { text: delta });
+      },
+      onLookup: lookup => stream.send('lookup', lookup)
+    });
+    const message = session ? recordExchange(session, userTurn, text) : text;
+    
+    console.log(`✅ Santa has spoken! (streamed ${text.length} chars, ${lookups.length} lookups)`);
+    stream.send('done', { message, stopReason, lookups });
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log('ℹ️ Santa Chat stream closed by the browser');
+    } else {
+      console.error('Santa Chat stream error:', error);
+      // `partial`: tokens already sent, which the browser may keep on screen
+      stream.send('error', { error: 'Santa lost his train of thought. Please try again!', partial: text.length > 0 });
+    }
+  } finally {
+    if (session) session.busy = false;
+    stream.end();
+  }
+});
+
+// Start a conversation; send the returned sessionId with each chat message
+app.post('/api/santa-chat/sessions', limits.chatSessions, (req, res) => {
+  const session = createSession();
+  console.log(`💬 Chat session ${session.id} started`);
+  res.status(201).json(describeSession(session));
+});
+
+// The transcript so far (what the user typed, not the tweets Santa was shown)
+app.get('/api/santa-chat/sessions/:id', limits.chatSessions, (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Chat session not found (it may have expired)' });
+  }
+  res.json(describeSession(session));
+});
+
+app.delete('/api/santa-chat/sessions/:id', limits.chatSessions, (req, res) => {
+  if (!deleteSession(req.params.id)) {
+    return res.status(404).json({ error: 'Chat session not found (it may have expired)' });
+  }
+  console.log(`💬 Chat session ${req.params.id} deleted`);
+  res.status(204).end();
+});
+
+// ==========================================
+// ANALYSIS HISTORY
+// ==========================================
+// Score-over-time for one user: ?since=&until=&endpoint=analyze|analyze-all&limit=
+app.get('/api/history/:username', limits.history, async (req, res) => {
+  try {
+    const { since, until, endpoint, limit } = req.query;
+    
+    if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+      return res.status(400).json({ error: 'since/until must be valid dates' });
+    }
+    if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive whole number' });
+    }
+    
+    const history = await getHistory(req.params.username, {
+      since,
+      until,
+      endpoint,
+      limit: limit !== undefined ? Number(limit) : undefined
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: 'Failed to load history. Please try again.' });
+  }
+});
+
+// Registered source adapters (drives the front-end tabs), formulas as the default profile scores
+app.get('/api/sources', (req, res) => {
+  res.json({ sources: describeSources(getProfile().tuning) });
+});
+
+// Scoring profiles callers can pick with `profile`
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: describeProfiles() });
+});
+
+// Health check
+// Probes Nitter, the Twitter API, Reddit auth and Anthropic (cached briefly;
+// ?fresh=1 re-probes). "degraded" means Twitter can only serve cached data.
+app.get('/api/health', limits.health, async (req, res) => {
+  try {
+    const health = await checkHealth({ fresh: req.query.fresh === '1' });
+    res.json({
+      ...health,
+      uptimeSeconds: Math.round(process.uptime()),
+      cache: responseCache.stats(),
+      quotas: describeQuotas(),
+      rateLimits: describeRateLimits()
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(500).json({ status: 'error', error: 'Health check failed' });
+  }
+});
+
+// ==========================================
+// PROMETHEUS METRICS
+// ==========================================
+gauge('cache_entries', 'Entries in the source response cache.', () => [{ value: responseCache.stats().entries }]);
+gauge('upstream_quota_remaining', 'Calls left in the current upstream rate-limit window.', () =>
+  Object.entries(describeQuotas())
+    .filter(([, quota]) => quota.known)
+    .map(([upstream, quota]) => ({ labels: { upstream }, value: quota.remaining }))
+);
+
+gauge('nitter_instance_available', 'Whether a Nitter instance is in the pool rotation (0 while in circuit-breaker cooldown).', () =>
+  nitterPool.hosts().map(instance => ({ labels: { instance }, value: nitterPool.isHealthy(instance) ? 1 : 0 }))
+);
+
+app.get('/metrics', limits.metrics, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Serve the main page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+module.exports = {
+  app
+};
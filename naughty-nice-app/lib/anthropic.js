@@ -0,0 +1,25 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { upstreamFetch } = require('./http');
+const { recorder } = require('./recorder');
+
+// Initialize Anthropic client (support both key names).
+// ANTHROPIC_BASE_URL points it at a local mock of the Messages API for testing;
+// in replay mode recorded responses stand in for the API, so no key is needed.
+const anthropicKey = process.env.ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY ||
+  (recorder.mode === 'replay' ? 'replay' : null);
+const anthropic = anthropicKey 
+  ? new Anthropic({ apiKey: anthropicKey, baseURL: process.env.ANTHROPIC_BASE_URL || undefined, fetch: upstreamFetch })
+  : null;
+
+if (anthropic) {
+  console.log('✅ Anthropic API initialized');
+} else {
+  console.log('⚠️ ANTHROPIC_KEY or ANTHROPIC_API_KEY not found - Santa Chat and LLM scoring will be disabled');
+}
+
+const CLAUDE_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+
+module.exports = {
+  anthropic,
+  CLAUDE_MODEL
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { listSources } = require('../sources');
+
+// ==========================================
+// BATCH ANALYSIS & LEADERBOARD
+// ==========================================
+// Scores a whole list of users through the multi-source pipeline a few at a
+// time, then ranks them. Finished batches are kept in memory (most recent
+// first) so the leaderboard can be exported as CSV/JSON afterwards.
+const BATCH_MAX_USERS = Number(process.env.BATCH_MAX_USERS) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const MAX_STORED_BATCHES = 20;
+
+// Like Promise.all(items.map(fn)), but with at most `limit` calls in flight.
+// Stops starting new items once `signal` aborts; their results stay undefined.
+async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Compact, export-friendly row for one analyzed user
+function summarizeResult(username, result) {
+  const breakdown = {};
+  for (const { id } of listSources()) {
+    const entry = result.breakdown[id];
+    breakdown[id] = entry && entry.found !== false && !entry.excluded
+      ? { score: entry.score, verdict: entry.verdict }
+      : null;
+  }
+
+  return {
+    username,
+    name: result.user.name,
+    profileImage: result.user.profileImage,
+    finalScore: result.finalScore,
+    verdict: result.verdict,
+    sourcesFound: result.sourcesFound,
+    timedOut: result.timedOut,
+    personas: result.personas.map(persona => persona.name),
+    breakdown
+  };
+}
+
+// Nicest first. Users no source could find aren't ranked: their neutral 50
+// would say nothing about them.
+function buildLeaderboard(rows, { highlights = 3 } = {}) {
+  const scored = rows.filter(row => row.sourcesFound > 0);
+  const unscored = rows.filter(row => row.sourcesFound === 0).map(row => row.username);
+
+  const ranking = scored
+    .sort((a, b) => b.finalScore - a.finalScore || b.sourcesFound - a.sourcesFound || a.username.localeCompare(b.username))
+    .map((row, i) => ({ rank: i + 1, ...row }));
+
+  return {
+    ranking,
+    nicest: ranking.filter(row => row.verdict === 'NICE').slice(0, highlights),
+    naughtiest: ranking.filter(row => row.verdict === 'NAUGHTY').reverse().slice(0, highlights),
+    unscored
+  };
+}
+
+// Display names are whatever people put on their profiles: a leading
+// = + - @ (or tab/CR) would make a spreadsheet run it as a formula
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function leaderboardToCsv(ranking) {
+  const sourceIds = listSources().map(source => source.id);
+  const header = ['rank', 'username', 'name', 'finalScore', 'verdict', 'sourcesFound', ...sourceIds.map(id => `${id}Score`), 'personas'];
+  const lines = ranking.map(row => [
+    row.rank,
+    row.username,
+    row.name,
+    row.finalScore,
+    row.verdict,
+    row.sourcesFound,
+    ...sourceIds.map(id => row.breakdown[id]?.score),
+    row.personas.join('; ')
+  ].map(csvCell).join(','));
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+const batches = new Map();
+
+function storeBatch(batch) {
+  const id = crypto.randomUUID();
+  const stored = { id, createdAt: new Date().toISOString(), ...batch };
+  batches.set(id, stored);
+  if (batches.size > MAX_STORED_BATCHES) {
+    batches.delete(batches.keys().next().value);
+  }
+  return stored;
+}
+
+function getBatch(id) {
+  return batches.get(id) || null;
+}
+
+module.exports = {
+  BATCH_MAX_USERS,
+  BATCH_CONCURRENCY,
+  mapWithConcurrency,
+  summarizeResult,
+  buildLeaderboard,
+  leaderboardToCsv,
+  storeBatch,
+  getBatch
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+
+// ==========================================
+// RESPONSE CACHE (TTL + stale-while-revalidate)
+// ==========================================
+// Keyed by source + username. Within `ttl` an entry is fresh; for `staleTtl`
+// after that it is still served instantly while a background refresh runs.
+// Seeded entries (fixtures) never expire but are refreshed the same way.
+//
+// Statuses reported to callers:
+//   'miss'  - loaded live just now
+//   'hit'   - fresh cached copy
+//   'stale' - old copy served, refresh started in the background
+//   'seed'  - fixture data served, refresh started in the background
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_STALE_TTL_MS = Number(process.env.CACHE_STALE_TTL_MS) || 24 * 60 * 60 * 1000;
+const REVALIDATE_TIMEOUT_MS = 15000;
+const MAX_ENTRIES = 1000;
+
+function createCache({ staleTtl = DEFAULT_STALE_TTL_MS, persistFile = null, maxEntries = MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  const inFlight = new Map();
+  let persistTimer = null;
+
+  const keyFor = (source, username) => `${source}:${username.toLowerCase()}`;
+
+  // Only real answers are worth keeping; "not found" may just be a flaky upstream
+  const isCacheable = value => value && value.found !== false;
+
+  function store(key, value, { seeded = false } = {}) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, storedAt: seeded ? 0 : now, checkedAt: seeded ? 0 : now, seeded });
+
+    // Map keeps insertion order, so the first key is the oldest
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    if (!seeded) schedulePersist();
+  }
+
+  // De-duplicates concurrent loads of the same key
+  function load(key, loader, { signal, background = false }) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(() => loader({ signal, background }))
+      .then(value => {
+        const existing = entries.get(key);
+        if (isCacheable(value)) {
+          store(key, value);
+        } else if (existing) {
+          // Keep serving what we had, but don't retry until the next TTL
+          existing.checkedAt = Date.now();
+        }
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function revalidate(key, loader) {
+    load(key, loader, { signal: AbortSignal.timeout(REVALIDATE_TIMEOUT_MS), background: true })
+      .catch(err => console.log(`⚠️ Cache refresh failed for ${key}: ${err.message}`));
+  }
+
+  // Returns { value, status, ageMs }. `loader({ signal, background })` fetches live data.
+  async function fetch(source, username, loader, { ttl = DEFAULT_TTL_MS, signal } = {}) {
+    const key = keyFor(source, username);
+    const entry = entries.get(key);
+    const now = Date.now();
+
+    if (entry) {
+      const ageMs = entry.seeded ? null : now - entry.storedAt;
+
+      if (!entry.seeded && ageMs < ttl) {
+        return { value: entry.value, status: 'hit', ageMs };
+      }
+
+      if (entry.seeded || ageMs < ttl + staleTtl) {
+        if (now - entry.checkedAt >= ttl) {
+          entry.checkedAt = now;
+          revalidate(key, loader);
+        }
+        return { value: entry.value, status: entry.seeded ? 'seed' : 'stale', ageMs };
+      }
+
+      entries.delete(key);
+    }
+
+    const value = await load(key, loader, { signal });
+    return { value, status: 'miss', ageMs: 0 };
+  }
+
+  // Fixtures only fill gaps; they never replace a real cached answer
+  function seed(source, username, value) {
+    const key = keyFor(source, username);
+    if (entries.has(key)) return false;
+    store(key, value, { seeded: true });
+    return true;
+  }
+
+  // Seed from a fixture shaped { [source]: { [username]: fetchResult } }
+  function seedFrom(fixture) {
+    let count = 0;
+    for (const [source, users] of Object.entries(fixture)) {
+      for (const [username, value] of Object.entries(users)) {
+        if (seed(source, username, value)) count++;
+      }
+    }
+    return count;
+  }
+
+  function schedulePersist() {
+    if (!persistFile || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      const snapshot = Array.from(entries.entries()).filter(([, entry]) => !entry.seeded);
+      fs.promises.writeFile(persistFile, JSON.stringify(snapshot))
+        .catch(err => console.log(`⚠️ Could not persist cache: ${err.message}`));
+    }, 1000);
+    persistTimer.unref();
+  }
+
+  function restore() {
+    if (!persistFile || !fs.existsSync(persistFile)) return 0;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(persistFile, 'utf8'));
+      for (const [key, entry] of snapshot) {
+        entries.set(key, entry);
+      }
+      return snapshot.length;
+    } catch (err) {
+      console.log(`⚠️ Could not restore cache from ${persistFile}: ${err.message}`);
+      return 0;
+    }
+  }
+
+  function stats() {
+    return { entries: entries.size, inFlight: inFlight.size, persistFile };
+  }
+
+  return {
+    fetch,
+    seed,
+    seedFrom,
+    restore,
+    stats,
+    clear: () => entries.clear()
+  };
+}
+
+// Shared cache for all source fetchers; set CACHE_FILE to keep it across restarts
+const responseCache = createCache({ persistFile: process.env.CACHE_FILE || null });
+
+module.exports = {
+  createCache,
+  responseCache
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// ==========================================
+// SANTA CHAT SESSIONS
+// ==========================================
+// The conversation lives on the server: the browser only holds a session ID,
+// so it can't forge Santa's side of the chat or send unbounded history.
+// Turns are stored as whole exchanges (the user's message and Santa's reply)
+// once the reply is complete, which keeps the user/assistant alternation the
+// Messages API requires. Sessions idle for CHAT_SESSION_TTL_MS are dropped,
+// and a session keeps at most MAX_SESSION_TURNS turns, oldest exchanges first
+// to go, so one long chat can't grow without bound.
+//
+// Each stored user turn keeps both `text` (what they typed, for the
+// transcript) and `content` (what Claude saw, tweets included).
+const CHAT_SESSION_TTL_MS = Number(process.env.CHAT_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const MAX_CHAT_SESSIONS = Number(process.env.MAX_CHAT_SESSIONS) || 1000;
+// History sent to Claude with each message; the oldest exchanges go first
+const CHAT_HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 8000;
+const MAX_MESSAGE_CHARS = 4000;
+const MAX_SESSION_TURNS = Number(process.env.MAX_SESSION_TURNS) || 200;
+// Stored when Santa's last round was only tool calls, so the exchange still
+// has an assistant turn (an empty one would be rejected by the Messages API)
+const EMPTY_REPLY = '(Santa checked his list but didn\'t say anything.)';
+
+const ROLES = ['user', 'assistant'];
+
+const sessions = new Map();
+
+// Rough count (about 4 characters per token for English); close enough for a budget
+const estimateTokens = text => Math.ceil(String(text).length / 4);
+
+function sweep() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (now - session.touchedAt > CHAT_SESSION_TTL_MS) sessions.delete(id);
+  }
+}
+setInterval(sweep, Math.min(CHAT_SESSION_TTL_MS, 10 * 60 * 1000)).unref();
+
+function createSession() {
+  const now = Date.now();
+  const session = { id: crypto.randomUUID(), createdAt: now, touchedAt: now, turns: [], busy: false };
+  sessions.set(session.id, session);
+  // Map keeps insertion order, so the first key is the oldest
+  while (sessions.size > MAX_CHAT_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+  return session;
+}
+
+function getSession(id) {
+  const session = typeof id === 'string' ? sessions.get(id) : null;
+  if (!session) return null;
+  if (Date.now() - session.touchedAt > CHAT_SESSION_TTL_MS) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+function deleteSession(id) {
+  return sessions.delete(id);
+}
+
+function validTurn(turn) {
+  return ROLES.includes(turn.role) && typeof turn.content === 'string' && turn.content.trim().length > 0;
+}
+
+// Store a finished exchange and return the reply as stored: an empty one
+// becomes EMPTY_REPLY. Throws on a missing user message, which only a bug
+// could produce.
+function recordExchange(session, { text, content }, reply) {
+  const stored = typeof reply === 'string' && reply.trim() ? reply : EMPTY_REPLY;
+  const userTurn = { role: 'user', text, content: content || text, at: new Date().toISOString() };
+  const assistantTurn = { role: 'assistant', text: stored, content: stored, at: new Date().toISOString() };
+  if (!validTurn(userTurn)) {
+    throw new Error('Chat turns need a user message');
+  }
+  session.turns.push(userTurn, assistantTurn);
+  if (session.turns.length > MAX_SESSION_TURNS) {
+    // Whole exchanges only, so the history still starts with a user turn
+    session.turns.splice(0, session.turns.length - MAX_SESSION_TURNS + (MAX_SESSION_TURNS % 2));
+  }
+  session.touchedAt = Date.now();
+  return stored;
+}
+
+// Messages for Claude: the newest whole exchanges that fit the token budget.
+// Returns { messages, dropped } (dropped = older turns left out).
+function historyFor(session, { budget = CHAT_HISTORY_TOKEN_BUDGET } = {}) {
+  const messages = [];
+  let used = 0;
+  for (let i = session.turns.length - 2; i >= 0; i -= 2) {
+    const [user, assistant] = session.turns.slice(i, i + 2);
+    const cost = estimateTokens(user.content) + estimateTokens(assistant.content);
+    if (used + cost > budget) break;
+    used += cost;
+    messages.unshift({ role: user.role, content: user.content }, { role: assistant.role, content: assistant.content });
+  }
+  return { messages, dropped: session.turns.length - messages.length };
+}
+
+// JSON-safe view for the transcript endpoint
+function describeSession(session) {
+  return {
+    sessionId: session.id,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.touchedAt + CHAT_SESSION_TTL_MS).toISOString(),
+    turns: session.turns.map(({ role, text, at }) => ({ role, text, at })),
+    tokenBudget: CHAT_HISTORY_TOKEN_BUDGET,
+    tokensInHistory: session.turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0)
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_CHARS,
+  MAX_SESSION_TURNS,
+  createSession,
+  getSession,
+  deleteSession,
+  recordExchange,
+  historyFor,
+  describeSession
+};
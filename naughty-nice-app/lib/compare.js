@@ -0,0 +1,104 @@
+const { listSources } = require('../sources');
+const { ARCHETYPES } = require('./personas');
+
+// ==========================================
+// HEAD-TO-HEAD COMPARISON
+// ==========================================
+// Lines up two or more analyzed users (lib/batch.js summarizeResult rows):
+// scores per category (overall + each source), the winner and margin in each,
+// pairwise differences, and which archetypes they share. A contender no
+// source could find is unscored, as on the leaderboard: their neutral 50
+// says nothing, so they compete in no category.
+const COMPARE_MAX_USERS = 5;
+
+const isScored = row => row.sourcesFound > 0;
+
+// Highest score wins; equal top scores are a tie. Sources a user wasn't
+// found on don't compete, and a category needs two scores to be judged.
+function judgeCategory(category, scores) {
+  const ranked = Object.entries(scores)
+    .filter(([, score]) => score !== null)
+    .sort((a, b) => b[1] - a[1]);
+
+  if (ranked.length < 2) {
+    return { category, scores, winner: null, margin: null, tie: false };
+  }
+  const [[leader, best], [, runnerUp]] = ranked;
+  return {
+    category,
+    scores,
+    winner: best === runnerUp ? null : leader,
+    margin: best - runnerUp,
+    tie: best === runnerUp
+  };
+}
+
+// a - b for every category both were scored in
+function pairDifferences(a, b) {
+  const differences = { overall: isScored(a) && isScored(b) ? a.finalScore - b.finalScore : null };
+  for (const { id } of listSources()) {
+    const scoreA = a.breakdown[id]?.score;
+    const scoreB = b.breakdown[id]?.score;
+    differences[id] = scoreA !== undefined && scoreB !== undefined ? scoreA - scoreB : null;
+  }
+  return differences;
+}
+
+function archetypeOverlap(rows) {
+  const sets = rows.map(row => new Set(row.personas));
+  const all = new Set(sets.flatMap(set => [...set]));
+  const shared = [...all].filter(name => sets.every(set => set.has(name)));
+
+  const unique = {};
+  rows.forEach((row, i) => {
+    unique[row.username] = row.personas.filter(name => sets.every((set, j) => j === i || !set.has(name)));
+  });
+
+  const describe = name => {
+    const archetype = ARCHETYPES.find(a => a.name === name);
+    return archetype ? { id: archetype.id, name, emoji: archetype.emoji } : { name };
+  };
+
+  return {
+    shared: shared.map(describe),
+    unique,
+    // Jaccard similarity of the persona sets, 0 (nothing in common) to 1
+    similarity: all.size > 0 ? Math.round((shared.length / all.size) * 100) / 100 : 0
+  };
+}
+
+function compareUsers(rows) {
+  const categories = [
+    judgeCategory('overall', Object.fromEntries(rows.map(row => [row.username, isScored(row) ? row.finalScore : null])))
+  ];
+  for (const { id } of listSources()) {
+    categories.push(judgeCategory(id, Object.fromEntries(rows.map(row => [row.username, row.breakdown[id]?.score ?? null]))));
+  }
+
+  const pairs = [];
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      pairs.push({ a: rows[i].username, b: rows[j].username, differences: pairDifferences(rows[i], rows[j]) });
+    }
+  }
+
+  const wins = Object.fromEntries(rows.map(row => [row.username, 0]));
+  categories.forEach(({ winner }) => {
+    if (winner) wins[winner]++;
+  });
+
+  return {
+    contenders: rows,
+    winner: categories[0].winner,
+    categories,
+    wins,
+    pairs,
+    archetypes: archetypeOverlap(rows),
+    unscored: rows.filter(row => !isScored(row)).map(row => row.username)
+  };
+}
+
+module.exports = {
+  COMPARE_MAX_USERS,
+  compareUsers
+};
@@ -0,0 +1,30 @@
+// ==========================================
+// SCORE EVIDENCE
+// ==========================================
+// Every analyzer returns an `evidence` list in one shape:
+//   { text, link?, signals: [matched terms or events], points }
+// `points` is what that item added to (or took from) the source's score,
+// before the 0-100 clamp, so the list explains the number it sits next to.
+const EVIDENCE_LIMIT = 10;
+
+function createEvidence(limit = EVIDENCE_LIMIT) {
+  const items = [];
+  return {
+    add({ text, link, signals = [], points }) {
+      if (!points) return;
+      items.push({ text, ...(link && { link }), signals, points: Math.round(points * 100) / 100 });
+    },
+
+    // Biggest movers first, in either direction
+    list() {
+      return [...items]
+        .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  EVIDENCE_LIMIT,
+  createEvidence
+};
@@ -0,0 +1,102 @@
+const { NITTER_INSTANCES, nitterPool, initTwitterClient } = require('../sources/twitter');
+const { getRedditToken, getRedditTokenStatus } = require('../sources/reddit');
+const { anthropic, CLAUDE_MODEL } = require('./anthropic');
+const { upstreamFetch } = require('./http');
+const { recorder } = require('./recorder');
+
+// ==========================================
+// DEPENDENCY HEALTH PROBES
+// ==========================================
+// Checks every upstream the analyzer depends on. Probing hits the network,
+// so a report is cached for HEALTH_CACHE_MS and concurrent callers share
+// one probe run. `?fresh=1` can't be used to hammer the upstreams: it only
+// re-probes once the report is HEALTH_FRESH_MIN_MS old.
+const HEALTH_CACHE_MS = Number(process.env.HEALTH_CACHE_MS) || 30 * 1000;
+const HEALTH_FRESH_MIN_MS = Math.min(Number(process.env.HEALTH_FRESH_MIN_MS) || 10 * 1000, HEALTH_CACHE_MS);
+const PROBE_TIMEOUT_MS = 4000;
+
+let cached = null;
+let inFlight = null;
+
+// Any HTTP answer counts as reachable; Nitter's front page may well be a 403
+async function probeNitter(instance) {
+  const startedAt = Date.now();
+  try {
+    const response = await upstreamFetch(`https://${instance}/`, {
+      method: 'HEAD',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+    });
+    return { instance, reachable: response.status < 500, status: response.status, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { instance, reachable: false, error: err.name === 'TimeoutError' ? 'Timeout' : err.message, latencyMs: Date.now() - startedAt };
+  }
+}
+
+async function probeReddit() {
+  const status = getRedditTokenStatus();
+  if (!status.configured || status.valid) return status;
+  // Configured but no live token: try to get one now
+  await getRedditToken();
+  return getRedditTokenStatus();
+}
+
+async function probeTwitterApi() {
+  const configured = Boolean(process.env.API_KEY && process.env.API_SECRET_KEY);
+  if (!configured) return { configured, initialized: false };
+  return { configured, initialized: Boolean(await initTwitterClient()) };
+}
+
+async function runProbes() {
+  const [nitter, reddit, twitterApi] = await Promise.all([
+    Promise.all(NITTER_INSTANCES.map(probeNitter)),
+    probeReddit(),
+    probeTwitterApi()
+  ]);
+
+  // Without Nitter or the API, Twitter only has cached/fixture data
+  const twitterUp = nitter.some(instance => instance.reachable) || twitterApi.initialized;
+  return {
+    status: twitterUp ? 'ok' : 'degraded',
+    checkedAt: new Date().toISOString(),
+    dependencies: {
+      nitter: {
+        reachable: nitter.filter(instance => instance.reachable).length,
+        total: nitter.length,
+        instances: nitter,
+        // What lookups have seen (lib/nitter-pool.js), in the order they'll be tried
+        pool: nitterPool.describe()
+      },
+      twitterApi,
+      reddit,
+      anthropic: { configured: Boolean(anthropic), model: CLAUDE_MODEL },
+      // Replay answers from fixtures (lib/recorder.js), so "reachable" means recorded
+      upstream: recorder.describe()
+    }
+  };
+}
+
+// Resolves the cached report while it's fresh; `fresh: true` shortens that
+// to HEALTH_FRESH_MIN_MS
+async function checkHealth({ fresh = false } = {}) {
+  if (cached && Date.now() - cached.at < (fresh ? HEALTH_FRESH_MIN_MS : HEALTH_CACHE_MS)) {
+    return { ...cached.report, cached: true };
+  }
+  if (!inFlight) {
+    inFlight = runProbes()
+      .then(report => {
+        cached = { report, at: Date.now() };
+        return report;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return { ...await inFlight, cached: false };
+}
+
+module.exports = {
+  HEALTH_CACHE_MS,
+  HEALTH_FRESH_MIN_MS,
+  checkHealth
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// ANALYSIS HISTORY (JSON-lines file store)
+// ==========================================
+// One line per verdict so we can chart whether someone got naughtier or nicer.
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, '..', 'data', 'history.jsonl');
+
+function normalizeUsername(username) {
+  return username.replace('@', '').trim().toLowerCase();
+}
+
+// Keep just what the time series needs from each breakdown entry
+function summarizeBreakdown(breakdown = {}) {
+  const summary = {};
+  for (const [source, entry] of Object.entries(breakdown)) {
+    summary[source] = {
+      found: entry.found !== false,
+      score: entry.score ?? null,
+      verdict: entry.verdict ?? null,
+      ...(entry.timedOut && { timedOut: true }),
+      ...(entry.dataSource && { dataSource: entry.dataSource })
+    };
+  }
+  return summary;
+}
+
+async function recordAnalysis({ username, endpoint, score, verdict, breakdown, dataSource, profile, mode = 'lexicon', window }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    username: normalizeUsername(username),
+    endpoint,
+    score,
+    verdict,
+    dataSource,
+    profile,
+    mode,
+    // Windowed scores aren't comparable with all-time ones
+    ...(window && { window }),
+    breakdown: summarizeBreakdown(breakdown)
+  };
+
+  await fs.promises.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+  await fs.promises.appendFile(HISTORY_FILE, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+async function readEntries() {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(HISTORY_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // A half-written line (e.g. crash mid-append) shouldn't hide the rest
+      console.log('⚠️ Skipping corrupt history line');
+    }
+  }
+  return entries;
+}
+
+function sourceDeltas(previous, current) {
+  const deltas = {};
+  for (const [source, entry] of Object.entries(current.breakdown)) {
+    const before = previous.breakdown[source];
+    if (entry.score !== null && before && before.score !== null) {
+      deltas[source] = entry.score - before.score;
+    }
+  }
+  return deltas;
+}
+
+// A window as asked for: "since=90d" is the same window on every run even
+// though its start date moves. Entries recorded before `requested` existed
+// fall back to their absolute dates.
+function windowKey(window) {
+  if (!window) return null;
+  const { since, until } = window.requested || window;
+  return [since, until, window.recencyHalfLifeDays || null];
+}
+
+// Scores only compare between runs of the same endpoint (Twitter-only vs all
+// sources), scoring profile, scoring mode and time window; each combination
+// is a group
+function comparisonKey(entry) {
+  return JSON.stringify([entry.endpoint, entry.profile || null, entry.mode || 'lexicon', windowKey(entry.window)]);
+}
+
+function describeTrend(change) {
+  if (change > 0) return 'nicer';
+  if (change < 0) return 'naughtier';
+  return 'unchanged';
+}
+
+// Time series for one user, oldest first. Each run's delta is the change
+// since the previous comparable run (null for the first of its group), and the
+// summary covers the group of the latest run.
+async function getHistory(username, { since, until, endpoint, limit } = {}) {
+  const name = normalizeUsername(username);
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  let entries = (await readEntries())
+    .filter(entry => entry.username === name)
+    .filter(entry => !endpoint || entry.endpoint === endpoint)
+    .filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return time >= sinceTime && time <= untilTime;
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  if (limit !== undefined) {
+    // slice(-0) would return everything, and slice(-1.5) the last two
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('limit must be a positive integer');
+    }
+    entries = entries.slice(-limit);
+  }
+
+  const previousInGroup = new Map();
+  const runs = entries.map(entry => {
+    const key = comparisonKey(entry);
+    const previous = previousInGroup.get(key);
+    previousInGroup.set(key, entry);
+    return {
+      ...entry,
+      delta: previous ? entry.score - previous.score : null,
+      sourceDeltas: previous ? sourceDeltas(previous, entry) : {}
+    };
+  });
+
+  const latest = runs[runs.length - 1];
+  const comparable = latest ? runs.filter(run => comparisonKey(run) === comparisonKey(latest)) : [];
+  const first = comparable[0];
+  const change = comparable.length > 1 ? latest.score - first.score : 0;
+
+  return {
+    username: name,
+    runs,
+    summary: runs.length === 0 ? null : {
+      runs: runs.length,
+      comparableRuns: comparable.length,
+      comparedOn: { endpoint: latest.endpoint, profile: latest.profile || null, mode: latest.mode || 'lexicon', window: latest.window || null },
+      firstScore: first.score,
+      latestScore: latest.score,
+      change,
+      trend: describeTrend(change),
+      highest: Math.max(...comparable.map(run => run.score)),
+      lowest: Math.min(...comparable.map(run => run.score))
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_FILE,
+  recordAnalysis,
+  getHistory
+};
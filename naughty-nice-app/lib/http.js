@@ -0,0 +1,91 @@
+const https = require('https');
+const http = require('http');
+const { recorder } = require('./recorder');
+
+// Statuses a Response may not carry a body with
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function requestUrl(url, { timeout, signal }) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    const request = protocol.get(url, { 
+      headers: { 
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      },
+      timeout,
+      signal
+    }, (response) => {
+      if (response.statusCode === 301 || response.statusCode === 302) {
+        return requestUrl(response.headers.location, { timeout, signal }).then(resolve).catch(reject);
+      }
+      if (response.statusCode !== 200) {
+        const err = new Error(`HTTP ${response.statusCode}`);
+        err.status = response.statusCode;
+        reject(err);
+        return;
+      }
+      let data = '';
+      response.on('data', chunk => data += chunk);
+      response.on('end', () => resolve(data));
+    });
+    request.on('error', reject);
+    request.on('timeout', () => {
+      request.destroy();
+      reject(new Error('Timeout'));
+    });
+  });
+}
+
+// Fetch data from URL (pass a signal to cancel it from the outside).
+// Recorded or replayed under the requested URL, after any redirects.
+async function fetchUrl(url, { timeout = 10000, signal } = {}) {
+  const request = { method: 'GET', url };
+
+  if (recorder.mode === 'replay') {
+    signal?.throwIfAborted();
+    const recorded = recorder.lookup(request);
+    if (!recorded) throw new Error('No recorded response');
+    if (recorded.status !== 200) throw new Error(`HTTP ${recorded.status}`);
+    return recorded.body;
+  }
+  if (recorder.mode !== 'record') return requestUrl(url, { timeout, signal });
+
+  try {
+    const body = await requestUrl(url, { timeout, signal });
+    recorder.save(request, { status: 200, body });
+    return body;
+  } catch (err) {
+    // Upstream answered with an error status: worth replaying too
+    if (err.status) recorder.save(request, { status: err.status });
+    throw err;
+  }
+}
+
+// Drop-in for the global fetch() that sources and the Anthropic client use,
+// so their upstream responses can be recorded and replayed (lib/recorder.js)
+async function upstreamFetch(input, init = {}) {
+  if (recorder.mode === 'live') return fetch(input, init);
+
+  const request = {
+    method: (init.method || 'GET').toUpperCase(),
+    url: String(input.url || input),
+    body: typeof init.body === 'string' ? init.body : ''
+  };
+
+  if (recorder.mode === 'replay') {
+    init.signal?.throwIfAborted();
+    const recorded = recorder.lookup(request);
+    if (!recorded) throw new TypeError(`fetch failed: no recorded response for ${request.method} ${request.url}`);
+    const noBody = request.method === 'HEAD' || NULL_BODY_STATUSES.includes(recorded.status);
+    return new Response(noBody ? null : recorded.body, { status: recorded.status, headers: recorded.headers });
+  }
+
+  const response = await fetch(input, init);
+  // Saved once the body has arrived, so streamed responses still stream
+  response.clone().text()
+    .then(body => recorder.save(request, { status: response.status, headers: Object.fromEntries(response.headers), body }))
+    .catch(err => console.log(`⚠️ Could not record ${request.url}: ${err.message}`));
+  return response;
+}
+
+module.exports = { fetchUrl, upstreamFetch };
@@ -0,0 +1,178 @@
+const { getSource, listSources, identityKey } = require('../sources');
+const { fetchSource } = require('./run-sources');
+
+// ==========================================
+// CROSS-PLATFORM IDENTITY LINKING
+// ==========================================
+// The same handle on two sites is often two different people. Callers can
+// pass an explicit identity map ({ twitter, reddit, github, newsQuery });
+// anything left out is filled by discovery from the GitHub profile
+// (twitter_username, blog, bio, name), falling back to the shared handle.
+// Every link carries a 0-1 confidence and says where it came from.
+//
+// A GitHub account with the same login proves nothing by itself, so its
+// links are only used once the account is confirmed as this person: the
+// caller named it explicitly, or its twitter_username is the handle that
+// was entered. Otherwise they come back as suggestions (applied: false).
+// The entered handle is a Twitter handle, and discovery never replaces it.
+
+// Discovered links at or above this confidence are used for the lookup;
+// weaker ones are only returned as suggestions
+const AUTO_LINK_CONFIDENCE = 0.75;
+const SAME_HANDLE_CONFIDENCE = 0.3;
+const ENTERED_KEY = 'twitter';
+
+const HANDLE_PATTERNS = {
+  twitter: /^[A-Za-z0-9_]{1,15}$/,
+  reddit: /^[A-Za-z0-9_-]{3,20}$/,
+  github: /^[A-Za-z0-9-]{1,39}$/
+};
+const MAX_NEWS_QUERY_LENGTH = 100;
+
+function identityKeys() {
+  return listSources().map(identityKey);
+}
+
+// Validate a caller-supplied identity map. Returns { identities } or { error }.
+function parseIdentities(input) {
+  if (input === undefined || input === null || input === '') return { identities: {} };
+
+  let map = input;
+  if (typeof map === 'string') {
+    // GET endpoints take the map as a JSON query param
+    try {
+      map = JSON.parse(map);
+    } catch (err) {
+      return { error: 'identities must be a JSON object' };
+    }
+  }
+  if (typeof map !== 'object' || Array.isArray(map)) {
+    return { error: 'identities must be an object' };
+  }
+
+  const keys = identityKeys();
+  const identities = {};
+  for (const [key, value] of Object.entries(map)) {
+    if (!keys.includes(key)) {
+      return { error: `identities.${key} is not supported (use: ${keys.join(', ')})` };
+    }
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') {
+      return { error: `identities.${key} must be a string` };
+    }
+
+    const handle = key === 'newsQuery' ? value.trim() : value.replace('@', '').trim();
+    const pattern = HANDLE_PATTERNS[key];
+    if (pattern && !pattern.test(handle)) {
+      return { error: `identities.${key} is not a valid ${key} handle` };
+    }
+    if (key === 'newsQuery' && handle.length > MAX_NEWS_QUERY_LENGTH) {
+      return { error: `identities.newsQuery must be at most ${MAX_NEWS_QUERY_LENGTH} characters` };
+    }
+    identities[key] = handle;
+  }
+  return { identities };
+}
+
+const sameHandle = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+function profileLink(url) {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Suggest links from a GitHub user object. Pure: no network.
+// Returns [{ key, handle, confidence, via }], strongest first per key.
+function discoverFromGitHub(user) {
+  if (!user) return [];
+  const links = [];
+  const add = (key, handle, confidence, via) => {
+    const pattern = HANDLE_PATTERNS[key];
+    if (handle && (!pattern || pattern.test(handle))) links.push({ key, handle, confidence, via });
+  };
+
+  // Self-declared on the GitHub profile: as good as it gets without OAuth
+  add('twitter', user.twitter_username, 0.95, 'GitHub twitter_username');
+
+  const blog = user.blog && profileLink(user.blog);
+  if (blog) {
+    const host = blog.hostname.replace(/^www\./, '');
+    const [first, second] = blog.pathname.split('/').filter(Boolean);
+    if (host === 'twitter.com' || host === 'x.com') add('twitter', first, 0.9, 'GitHub blog link');
+    if (host === 'reddit.com' && (first === 'user' || first === 'u')) add('reddit', second, 0.9, 'GitHub blog link');
+  }
+
+  const bio = user.bio || '';
+  const bioLinks = [
+    { key: 'twitter', regex: /(?:twitter\.com|x\.com)\/([A-Za-z0-9_]{1,15})/i, confidence: 0.85 },
+    { key: 'reddit', regex: /reddit\.com\/u(?:ser)?\/([A-Za-z0-9_-]{3,20})/i, confidence: 0.85 },
+    { key: 'reddit', regex: /(?:^|\s)\/?u\/([A-Za-z0-9_-]{3,20})/, confidence: 0.7 },
+    // A bare @mention in a bio is as likely to be an employer as the user
+    { key: 'twitter', regex: /(?:^|\s)@([A-Za-z0-9_]{1,15})\b/, confidence: 0.4 }
+  ];
+  for (const { key, regex, confidence } of bioLinks) {
+    const match = bio.match(regex);
+    if (match) add(key, match[1], confidence, 'GitHub bio');
+  }
+
+  // A real name ("Ada Lovelace") finds far better news coverage than a handle
+  if (user.name && user.name.trim().includes(' ')) {
+    add('newsQuery', user.name.trim(), 0.8, 'GitHub display name');
+  } else if (user.name) {
+    add('newsQuery', user.name.trim(), 0.5, 'GitHub display name');
+  }
+
+  return links.sort((a, b) => b.confidence - a.confidence);
+}
+
+// Work out which handle to look up on each source. `discover: false` skips
+// the GitHub lookup and uses only the explicit map and the shared handle.
+// Returns { resolved: { [key]: handle }, links: [{ key, handle, confidence, via, applied }] }
+async function resolveIdentities(username, explicit = {}, { signal, discover = true } = {}) {
+  const keys = identityKeys();
+  const links = Object.entries(explicit).map(([key, handle]) => ({ key, handle, confidence: 1, via: 'explicit' }));
+  // Discovered links that may be used for the lookup (the rest are suggestions)
+  const usable = new Set();
+
+  // Only worth a GitHub round trip if something is still unmapped
+  const github = getSource('github');
+  if (discover && github && keys.some(key => !explicit[key])) {
+    try {
+      const { data } = await fetchSource(github, explicit.github || username, { signal });
+      if (data.found) {
+        const confirmed = Boolean(explicit.github) || sameHandle(data.user.twitter_username, username);
+        for (const link of discoverFromGitHub(data.user).filter(link => !explicit[link.key])) {
+          if (confirmed && (link.key !== ENTERED_KEY || sameHandle(link.handle, username))) usable.add(link);
+          links.push(link);
+        }
+      }
+    } catch (err) {
+      console.log(`   ⚠️ Identity discovery skipped: ${err.message}`);
+    }
+  }
+
+  const resolved = {};
+  for (const link of links) {
+    link.applied = !resolved[link.key] &&
+      (link.via === 'explicit' || (usable.has(link) && link.confidence >= AUTO_LINK_CONFIDENCE));
+    if (link.applied) resolved[link.key] = link.handle;
+  }
+  for (const key of keys) {
+    if (!resolved[key]) {
+      resolved[key] = username;
+      links.push({ key, handle: username, confidence: SAME_HANDLE_CONFIDENCE, via: 'same handle', applied: true });
+    }
+  }
+
+  return { resolved, links };
+}
+
+module.exports = {
+  AUTO_LINK_CONFIDENCE,
+  parseIdentities,
+  discoverFromGitHub,
+  resolveIdentities
+};
@@ -0,0 +1,69 @@
+// ==========================================
+// SENTIMENT LEXICON
+// ==========================================
+// AFINN-style weights from -5 (very naughty) to +5 (very nice).
+// Entries with spaces are phrases and are matched before single words.
+const LEXICON = {
+  // Naughty
+  'hate': -3, 'hated': -3, 'hater': -3, 'haters': -3, 'angry': -3, 'stupid': -3,
+  'idiot': -3, 'idiots': -3, 'dumb': -2, 'dumbest': -3, 'terrible': -3, 'worst': -3,
+  'bad': -3, 'awful': -3, 'horrible': -3, 'annoying': -2, 'trash': -2, 'garbage': -2,
+  'sucks': -3, 'pathetic': -3, 'loser': -3, 'losers': -3, 'fail': -2, 'failure': -2,
+  'disgusting': -3, 'nasty': -3, 'ugly': -3, 'boring': -2, 'liar': -3, 'lies': -2,
+  'fake': -3, 'fraud': -4, 'scam': -3, 'cheat': -3, 'steal': -2, 'kill': -3, 'die': -3,
+  'whatever': -1, 'complain': -2, 'whine': -2, 'cry': -1, 'blame': -2, 'fault': -1,
+  'rude': -2, 'cruel': -3, 'fool': -2, 'jealous': -2, 'destroy': -3, 'biased': -2,
+  'shut up': -3, 'go away': -2, 'leave me alone': -2, 'screw you': -4,
+
+  // Nice
+  'love': 3, 'loved': 3, 'happy': 3, 'grateful': 3, 'thankful': 2, 'appreciate': 2,
+  'good': 2, 'nice': 2, 'kind': 2, 'kindness': 3, 'help': 2, 'support': 2, 'care': 2, 'wonderful': 4,
+  'amazing': 4, 'awesome': 4, 'great': 3, 'excellent': 3, 'beautiful': 3,
+  'fantastic': 4, 'incredible': 4, 'brilliant': 4, 'perfect': 3, 'best': 3,
+  'friend': 2, 'friendship': 2, 'family': 1, 'together': 1, 'share': 1, 'give': 1,
+  'donate': 2, 'volunteer': 2, 'inspire': 2, 'inspiring': 3, 'encourage': 2,
+  'motivate': 1, 'celebrate': 3, 'congratulations': 3, 'congrats': 3, 'thanks': 2,
+  'please': 1, 'sorry': 1, 'welcome': 2, 'bless': 2, 'blessed': 3, 'joy': 3,
+  'peace': 2, 'hope': 2, 'dream': 1, 'believe': 1, 'trust': 1, 'faith': 1, 'smile': 2,
+  'thank you': 3, 'well done': 3, 'no problem': 1, 'cant wait': 2,
+
+  // Emoji
+  '😊': 2, '😀': 2, '😃': 2, '😄': 2, '😁': 2, '🙂': 1, '😇': 2, '🥰': 3, '😍': 3,
+  '❤': 3, '♥': 3, '💕': 3, '💖': 3, '💗': 3, '🙏': 2, '🎉': 3, '🥳': 3, '👏': 2,
+  '👍': 1, '✨': 1, '🎁': 1, '🎄': 1, '😂': 1, '🤣': 1,
+  '😤': -2, '😠': -3, '😡': -3, '🤬': -4, '👎': -2, '💩': -2, '🙄': -2, '😒': -2,
+  '😢': -2, '😭': -1, '🤮': -3, '🖕': -4
+};
+
+// Extra weights for news headlines and snippets
+const NEWS_LEXICON = {
+  'scandal': -3, 'controversy': -2, 'arrested': -3, 'accused': -2, 'lawsuit': -2,
+  'fired': -2, 'criticized': -2, 'backlash': -2, 'outrage': -3, 'apologizes': -1,
+  'admits': -1, 'investigation': -2, 'criminal': -3, 'guilty': -3, 'convicted': -4,
+  'allegations': -2, 'indicted': -4, 'sued': -2,
+  'awarded': 3, 'honored': 3, 'praised': 3, 'celebrates': 2, 'donates': 3,
+  'charity': 2, 'hero': 3, 'saves': 2, 'helps': 2, 'achievement': 3,
+  'breakthrough': 3, 'success': 2, 'philanthropist': 3, 'recognition': 2, 'beloved': 3
+};
+
+// Words that flip the sentiment of what follows ("not great", "never happy")
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without',
+  'hardly', 'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent',
+  'werent', 'wont', 'wouldnt', 'shouldnt', 'couldnt', 'aint'
+]);
+
+// Multipliers for the next sentiment word; phrases are matched like lexicon phrases
+const MODIFIERS = {
+  'very': 1.5, 'really': 1.5, 'so': 1.3, 'extremely': 2, 'super': 1.5, 'totally': 1.5,
+  'absolutely': 1.7, 'incredibly': 1.7, 'truly': 1.4, 'most': 1.3, 'too': 1.3, 'such': 1.3,
+  'slightly': 0.5, 'somewhat': 0.6, 'barely': 0.4, 'kinda': 0.6, 'sorta': 0.6,
+  'kind of': 0.6, 'sort of': 0.6, 'a bit': 0.6, 'a little': 0.6
+};
+
+module.exports = {
+  LEXICON,
+  NEWS_LEXICON,
+  NEGATORS,
+  MODIFIERS
+};
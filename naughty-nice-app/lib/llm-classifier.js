@@ -0,0 +1,129 @@
+const { anthropic, CLAUDE_MODEL } = require('./anthropic');
+
+// ==========================================
+// LLM PER-POST CLASSIFICATION (mode: "llm")
+// ==========================================
+// Sends posts to Claude in batches and forces a structured tool call back, one
+// score (-5..+5, same scale as the lexicon) and rationale per post. The result
+// is a scorer with the same output shape as analyzeSentiment(), so analyzers
+// aggregate it exactly like lexicon scores.
+const BATCH_SIZE = 20;
+const MAX_ITEM_CHARS = 500;
+const MEMO_LIMIT = 2000;
+
+const CLASSIFY_TOOL = {
+  name: 'record_classifications',
+  description: 'Record a naughty/nice classification for every numbered item.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      classifications: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', description: 'The item number from the list' },
+            score: { type: 'number', minimum: -5, maximum: 5, description: '-5 very naughty, 0 neutral, +5 very nice' },
+            signal: { type: 'string', description: '1-3 word tag for what drove the score, e.g. "gratitude", "insult", "rage bait"' },
+            rationale: { type: 'string', description: 'One short sentence explaining the score' }
+          },
+          required: ['index', 'score', 'rationale']
+        }
+      }
+    },
+    required: ['classifications']
+  }
+};
+
+const SYSTEM_PROMPT = `You are one of Santa's elves, classifying online posts for the Naughty/Nice list.
+Score each item from -5 (very naughty: insults, harassment, rage bait, scams, cruelty) to +5 (very nice: kindness, gratitude, helping, celebrating others).
+Plain announcements and neutral chatter are 0. Read for intent: sarcasm, negation ("not bad") and context matter more than individual words.
+Classify every item exactly once using the record_classifications tool.`;
+
+// Same text + kind always gets the same answer within a process
+const memo = new Map();
+
+function memoKey(kind, text) {
+  return `${kind}\u0000${text}`;
+}
+
+function remember(key, value) {
+  memo.set(key, value);
+  if (memo.size > MEMO_LIMIT) memo.delete(memo.keys().next().value);
+}
+
+// Shape an LLM classification like analyzeSentiment() output
+function toSentiment({ score, signal, rationale }) {
+  const weight = Math.max(-5, Math.min(5, Number(score) || 0));
+  return {
+    score: weight,
+    positive: Math.max(weight, 0),
+    negative: Math.max(-weight, 0),
+    tokens: 0,
+    matches: weight === 0 ? [] : [{ term: signal || (weight > 0 ? 'nice' : 'naughty'), weight, negated: false }],
+    rationale
+  };
+}
+
+async function classifyBatch(texts, kind, signal) {
+  const list = texts
+    .map((text, i) => `${i + 1}. ${JSON.stringify(text.slice(0, MAX_ITEM_CHARS))}`)
+    .join('\n');
+
+  const response = await anthropic.messages.create({
+    model: CLAUDE_MODEL,
+    max_tokens: 4096,
+    system: SYSTEM_PROMPT,
+    tools: [CLASSIFY_TOOL],
+    tool_choice: { type: 'tool', name: CLASSIFY_TOOL.name },
+    messages: [{ role: 'user', content: `Classify these ${texts.length} ${kind} items:\n\n${list}` }]
+  }, { signal });
+
+  const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === CLASSIFY_TOOL.name);
+  if (!toolUse || !Array.isArray(toolUse.input?.classifications)) {
+    throw new Error('Claude did not return classifications');
+  }
+
+  const results = new Array(texts.length).fill(null);
+  for (const item of toolUse.input.classifications) {
+    const i = Number(item.index) - 1;
+    if (Number.isInteger(i) && i >= 0 && i < texts.length) {
+      results[i] = toSentiment(item);
+    }
+  }
+  return results;
+}
+
+// Classify all texts up front and return a synchronous scorer(text) for the
+// analyzers. Items Claude skipped use `fallback` (the lexicon scorer).
+// Returns { scorer: null, reason } when LLM scoring isn't possible, so callers
+// fall back to the lexicon deterministically.
+async function createLlmScorer(texts, { kind = 'social media post', fallback, signal } = {}) {
+  if (!anthropic) {
+    return { scorer: null, reason: 'ANTHROPIC_KEY not configured' };
+  }
+
+  const unique = Array.from(new Set(texts.filter(Boolean)));
+  const pending = unique.filter(text => !memo.has(memoKey(kind, text)));
+
+  try {
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const results = await classifyBatch(batch, kind, signal);
+      batch.forEach((text, j) => {
+        if (results[j]) remember(memoKey(kind, text), results[j]);
+      });
+    }
+  } catch (err) {
+    console.log(`⚠️ LLM classification failed, using lexicon: ${err.message}`);
+    return { scorer: null, reason: err.message };
+  }
+
+  const scorer = text => memo.get(memoKey(kind, text)) || fallback(text);
+  return { scorer, reason: null };
+}
+
+module.exports = {
+  CLASSIFY_TOOL,
+  createLlmScorer
+};
@@ -0,0 +1,115 @@
+// ==========================================
+// PROMETHEUS METRICS
+// ==========================================
+// A minimal in-process registry rendered in the Prometheus text format at
+// GET /metrics. Counters only grow; gauges are read when scraped.
+const PREFIX = 'naughty_nice_';
+
+const metrics = new Map();
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function register(name, type, help) {
+  const metric = { name: PREFIX + name, type, help, values: new Map() };
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+function counter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelString(labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + amount);
+    }
+  };
+}
+
+// `collect` runs at scrape time and returns [{ labels, value }]
+function gauge(name, help, collect) {
+  const metric = register(name, 'gauge', help);
+  metric.collect = collect;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    const samples = metric.collect
+      ? metric.collect().map(({ labels = {}, value }) => [labelString(labels), value])
+      : Array.from(metric.values);
+    for (const [labels, value] of samples) {
+      if (value !== null && value !== undefined) lines.push(`${metric.name}${labels} ${value}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ==========================================
+// APP METRICS
+// ==========================================
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status code.');
+const sourceFetches = counter('source_fetches_total', 'Source lookups by outcome (found, not_found, timeout, error).');
+const sourceFetchSeconds = counter('source_fetch_seconds_total', 'Time spent in finished source lookups.');
+const sourceCache = counter('source_cache_total', 'Source lookups answered from the response cache, by status.');
+const nitterAttempts = counter('nitter_attempts_total', 'Nitter instance attempts by instance and status.');
+const fallbacks = counter('fallbacks_total', 'Fallbacks taken: Nitter to the Twitter API, LLM to lexicon scoring.');
+
+// Express middleware: count every response once it's sent
+function countRequests(req, res, next) {
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+// Fed from runSources progress events (see lib/run-sources.js)
+function recordSourceEvent({ type, source, ...details }) {
+  switch (type) {
+    case 'source:done':
+      sourceFetches.inc({ source, outcome: details.found ? 'found' : 'not_found' });
+      break;
+    case 'source:timeout':
+      sourceFetches.inc({ source, outcome: 'timeout' });
+      break;
+    case 'source:error':
+      sourceFetches.inc({ source, outcome: 'error' });
+      break;
+    case 'source:cache':
+      sourceCache.inc({ source, status: details.status });
+      break;
+    case 'source:attempt':
+      if (details.status !== 'trying') nitterAttempts.inc({ instance: details.instance, status: details.status });
+      break;
+    case 'source:fallback':
+      fallbacks.inc({ source, from: details.from, to: details.to });
+      break;
+    default:
+      break;
+  }
+  if (details.durationMs !== undefined) {
+    sourceFetchSeconds.inc({ source }, details.durationMs / 1000);
+  }
+}
+
+function recordScoringFallback(source) {
+  fallbacks.inc({ source, from: 'llm', to: 'lexicon' });
+}
+
+gauge('uptime_seconds', 'Seconds since the server started.', () => [{ value: Math.round(process.uptime()) }]);
+
+module.exports = {
+  gauge,
+  renderMetrics,
+  countRequests,
+  recordSourceEvent,
+  recordScoringFallback
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+
+// ==========================================
+// ADAPTIVE NITTER POOL
+// ==========================================
+// Nitter instances come and go. The pool remembers how each one has been
+// doing (success rate, smoothed latency) so lookups try the healthiest
+// first, and trips a circuit breaker on hosts that keep failing: after
+// `failureThreshold` failures in a row a host sits out `cooldownMs`
+// (doubling on each repeat trip, up to `maxCooldownMs`), then gets a single
+// trial request before rejoining. Callers claim() a host before each request
+// and release() it after, which keeps concurrent lookups from all piling
+// onto a host whose trial is still in flight.
+//
+// Settings come from config/nitter.json (or NITTER_CONFIG_FILE):
+//   { "instances": ["host", ...], "race": 2, "failureThreshold": 3,
+//     "cooldownMs": 300000, "maxCooldownMs": 1800000 }
+// NITTER_INSTANCES (comma-separated hosts) and NITTER_RACE override the file.
+const DEFAULTS = {
+  instances: [],
+  race: 2,
+  failureThreshold: 3,
+  cooldownMs: 5 * 60 * 1000,
+  maxCooldownMs: 30 * 60 * 1000
+};
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+const HOST_PATTERN = /^[a-z0-9.-]+(:\d+)?$/i;
+
+function loadNitterConfig(file) {
+  let config = {};
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read Nitter config from ${file}: ${err.message}`);
+    }
+  }
+
+  const merged = { ...DEFAULTS, ...config };
+  if (process.env.NITTER_INSTANCES) {
+    merged.instances = process.env.NITTER_INSTANCES.split(',').map(host => host.trim()).filter(Boolean);
+  }
+  if (process.env.NITTER_RACE) {
+    merged.race = Number(process.env.NITTER_RACE);
+  }
+
+  const problems = [];
+  if (!Array.isArray(merged.instances) || merged.instances.length === 0) {
+    problems.push('"instances" must list at least one host');
+  } else {
+    merged.instances
+      .filter(host => typeof host !== 'string' || !HOST_PATTERN.test(host))
+      .forEach(host => problems.push(`"${host}" is not a host name (no scheme or path)`));
+  }
+  for (const key of ['race', 'failureThreshold']) {
+    if (!Number.isInteger(merged[key]) || merged[key] < 1) problems.push(`"${key}" must be a whole number of at least 1`);
+  }
+  for (const key of ['cooldownMs', 'maxCooldownMs']) {
+    if (typeof merged[key] !== 'number' || !(merged[key] >= 0)) problems.push(`"${key}" must be a non-negative number`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid Nitter config (${file}):\n  - ${problems.join('\n  - ')}`);
+  }
+  return merged;
+}
+
+function createNitterPool({ instances, race, failureThreshold, cooldownMs, maxCooldownMs } = DEFAULTS) {
+  const stats = new Map(instances.map(host => [host, {
+    host,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    trips: 0,
+    latencyMs: null,
+    openUntil: 0,
+    lastError: null,
+    lastUsedAt: null,
+    trialInFlight: false
+  }]));
+
+  // Laplace-smoothed, so an untried host (0.5) ranks between good and bad ones
+  const successRate = entry => (entry.successes + 1) / (entry.successes + entry.failures + 2);
+
+  function recordLatency(entry, latencyMs) {
+    entry.latencyMs = entry.latencyMs === null
+      ? latencyMs
+      : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    entry.lastUsedAt = Date.now();
+  }
+
+  function recordSuccess(host, latencyMs) {
+    const entry = stats.get(host);
+    if (!entry) return;
+    recordLatency(entry, latencyMs);
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.trips = 0;
+    entry.openUntil = 0;
+  }
+
+  // Answered, but with no tweets: could be the user, so it neither helps nor hurts
+  function recordEmpty(host, latencyMs) {
+    const entry = stats.get(host);
+    if (entry) recordLatency(entry, latencyMs);
+  }
+
+  function recordFailure(host, error, latencyMs) {
+    const entry = stats.get(host);
+    if (!entry) return;
+    recordLatency(entry, latencyMs);
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = error;
+
+    // A failed trial after a cooldown re-trips immediately
+    if (entry.consecutiveFailures >= failureThreshold || entry.trips > 0) {
+      entry.trips++;
+      const cooldown = Math.min(cooldownMs * 2 ** (entry.trips - 1), maxCooldownMs);
+      entry.openUntil = Date.now() + cooldown;
+      console.log(`🔌 Nitter ${host} benched for ${Math.round(cooldown / 1000)}s (${entry.consecutiveFailures} failures in a row)`);
+    }
+  }
+
+  // A host that has tripped (trips > 0) is on trial until it succeeds: only
+  // one request at a time. Returns false if another caller holds the trial.
+  function claim(host) {
+    const entry = stats.get(host);
+    if (!entry) return false;
+    if (entry.trips === 0) return true;
+    if (entry.trialInFlight) return false;
+    entry.trialInFlight = true;
+    return true;
+  }
+
+  // After the request finished, failed or was cancelled
+  function release(host) {
+    const entry = stats.get(host);
+    if (entry) entry.trialInFlight = false;
+  }
+
+  // Hosts to try, best first. Benched hosts are skipped until their cooldown
+  // ends, and hosts whose trial is in flight until it finishes; if every host
+  // is benched, the one closest to recovery gets a trial.
+  function order() {
+    const now = Date.now();
+    const entries = Array.from(stats.values()).filter(entry => !entry.trialInFlight);
+    if (entries.length === 0) return [];
+    const available = entries
+      .filter(entry => entry.openUntil <= now)
+      .sort((a, b) => successRate(b) - successRate(a) || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+
+    if (available.length > 0) return available.map(entry => entry.host);
+    return [entries.sort((a, b) => a.openUntil - b.openUntil)[0].host];
+  }
+
+  function isHealthy(host) {
+    const entry = stats.get(host);
+    return Boolean(entry) && entry.openUntil <= Date.now();
+  }
+
+  // For /api/health, in the order the next lookup would use
+  function describe() {
+    const now = Date.now();
+    const ranked = order();
+    return Array.from(stats.values())
+      .sort((a, b) => {
+        const rankA = ranked.indexOf(a.host);
+        const rankB = ranked.indexOf(b.host);
+        return (rankA === -1 ? Infinity : rankA) - (rankB === -1 ? Infinity : rankB) || a.openUntil - b.openUntil;
+      })
+      .map(entry => ({
+        host: entry.host,
+        state: entry.openUntil > now ? 'cooldown' : entry.trips > 0 ? 'trial' : 'healthy',
+        successRate: Math.round(successRate(entry) * 100) / 100,
+        successes: entry.successes,
+        failures: entry.failures,
+        latencyMs: entry.latencyMs,
+        cooldownUntil: entry.openUntil > now ? new Date(entry.openUntil).toISOString() : null,
+        lastError: entry.lastError
+      }));
+  }
+
+  return {
+    race,
+    hosts: () => Array.from(stats.keys()),
+    order,
+    claim,
+    release,
+    isHealthy,
+    recordSuccess,
+    recordEmpty,
+    recordFailure,
+    describe
+  };
+}
+
+module.exports = {
+  loadNitterConfig,
+  createNitterPool
+};
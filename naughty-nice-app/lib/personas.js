@@ -0,0 +1,210 @@
+const { analyzeSentiment } = require('./sentiment');
+
+// ==========================================
+// PERSONA CLASSIFICATION
+// ==========================================
+// Deterministic archetype scores from the fetched posts and GitHub activity.
+// Each archetype turns a handful of measurable signals (reply ratio, volume,
+// link/self-promo frequency, sentiment, GitHub events) into a 0-1 confidence
+// with the evidence behind it. The same list drives Santa's chat prompt.
+const ARCHETYPES = [
+  { id: 'shitposter', name: 'Shit Poster', emoji: '🚽', color: '#ff4444', description: 'Posts chaotic, unhinged, or deliberately provocative content for laughs' },
+  { id: 'replyguy', name: 'Reply Guy', emoji: '🤡', color: '#e67e22', description: 'Constantly replies to famous accounts hoping for engagement' },
+  { id: 'brainrot', name: 'Brain Rot', emoji: '🧠', color: '#9b59b6', description: 'TikTok brain, incoherent zoomer humor, terminally online' },
+  { id: 'cloutchaser', name: 'Clout Chaser', emoji: '📢', color: '#f1c40f', description: 'Does anything for likes and followers' },
+  { id: 'ragebaiter', name: 'Rage Baiter', emoji: '😤', color: '#e74c3c', description: 'Posts inflammatory takes to get engagement' },
+  { id: 'thoughtleader', name: 'Thought Leader', emoji: '🤓', color: '#3498db', description: 'Posts pretentious "insights" and threads' },
+  { id: 'edgelord', name: 'Edgelord', emoji: '💀', color: '#7f8c8d', description: 'Tries too hard to be offensive or cool' },
+  { id: 'wholesome', name: 'Wholesome', emoji: '😇', color: '#2ecc71', description: 'Genuinely nice, supportive, positive vibes' },
+  { id: 'builder', name: 'Builder', emoji: '🏗️', color: '#1abc9c', description: 'Actually creates things and shares genuine work' },
+  { id: 'lurker', name: 'Lurker', emoji: '📚', color: '#95a5a6', description: 'Barely posts, just watches the chaos' }
+];
+
+// Personas below this confidence are not returned
+const MIN_CONFIDENCE = 0.35;
+const MAX_PERSONAS = 3;
+
+const LINK_REGEX = /https?:\/\/\S+/i;
+const PROMO_REGEX = /\b(check out|link in bio|subscribe|sign up|my new|pre-?order|newsletter|giveaway|discount|use code|follow me|dm me|don'?t miss)\b/i;
+const CLOUT_REGEX = /\b(like and (retweet|rt|share)|rt if|follow for|followers|going viral|ratio|engagement|blue ?check)\b/i;
+const SLANG_REGEX = /\b(skibidi|rizz|gyatt|no cap|fr fr|bussin|sigma|ohio|delulu|it'?s giving|lowkey|highkey|slay|bruh|ong|npc|mewing|aura)\b/i;
+const CHAOS_REGEX = /\b(lmao+|lmfao|lol+|wtf|bro what|im crying|help)\b|💀|😭|🤡/i;
+const EDGE_REGEX = /\b(based|cringe|normies?|snowflakes?|triggered|cope|seethe|sheeple|woke|offended)\b/i;
+const TAKE_REGEX = /\b(unpopular opinion|hot take|nobody is talking about|wake up|is dead|is a scam|fight me)\b/i;
+const INSIGHT_REGEX = /\b(thread|lessons?|here'?s (why|what|how)|my take|framework|mindset|leadership|\d+ (things|tips|ways))\b|🧵|\b1\/\d*\b/i;
+const BUILD_REGEX = /\b(shipped|launched|released|built|building|open[- ]sourced?|v\d+\.\d+|pull request|repo)\b/i;
+
+const clamp = value => Math.max(0, Math.min(1, value));
+const round = value => Math.round(value * 100) / 100;
+const percent = value => `${Math.round(value * 100)}%`;
+
+// Share of posts matching a test, with the count for the evidence text
+function share(posts, test) {
+  const count = posts.filter(test).length;
+  return { count, ratio: posts.length > 0 ? count / posts.length : 0 };
+}
+
+function isReply(tweet) {
+  return tweet.isReply === true || /^@\w+/.test(tweet.text);
+}
+
+function isShouting(text) {
+  const letters = text.replace(/[^a-z]/gi, '');
+  const upper = text.replace(/[^A-Z]/g, '');
+  return /!{2,}/.test(text) || (letters.length >= 12 && upper.length / letters.length > 0.6);
+}
+
+// Everything the archetype rules read, computed once per lookup
+function collectSignals(rawData) {
+  const tweets = rawData.twitter?.tweets || [];
+  const comments = [...(rawData.reddit?.comments || []), ...(rawData.reddit?.posts || [])];
+  const github = rawData.github?.user ? rawData.github : null;
+  const posts = [...tweets, ...comments].map(post => post.text || '').filter(Boolean);
+  const sentiments = posts.map(text => analyzeSentiment(text));
+
+  const events = github?.events || [];
+  return {
+    hasData: posts.length > 0 || github !== null,
+    postCount: posts.length,
+    tweetCount: tweets.length,
+    profileTweetCount: Number(rawData.twitter?.user?.tweets) || null,
+    replies: share(tweets, isReply),
+    links: share(posts, text => LINK_REGEX.test(text)),
+    promo: share(posts, text => PROMO_REGEX.test(text)),
+    clout: share(posts, text => CLOUT_REGEX.test(text)),
+    slang: share(posts, text => SLANG_REGEX.test(text)),
+    chaos: share(posts, text => CHAOS_REGEX.test(text)),
+    edge: share(posts, text => EDGE_REGEX.test(text)),
+    takes: share(posts, text => TAKE_REGEX.test(text)),
+    insights: share(posts, text => INSIGHT_REGEX.test(text)),
+    builds: share(posts, text => BUILD_REGEX.test(text)),
+    shouting: share(posts, isShouting),
+    short: share(posts, text => text.length < 40),
+    naughty: share(sentiments, s => s.score < 0),
+    nice: share(sentiments, s => s.score > 0),
+    github: github && {
+      repos: github.user.public_repos || 0,
+      pushEvents: events.filter(e => e.type === 'PushEvent').length,
+      prEvents: events.filter(e => e.type === 'PullRequestEvent').length,
+      events: events.length
+    }
+  };
+}
+
+function evidence(signal, value, detail) {
+  return { signal, value: round(value), detail };
+}
+
+function postEvidence(signal, { count, ratio }, total, what) {
+  return evidence(signal, ratio, `${count} of ${total} posts ${what} (${percent(ratio)})`);
+}
+
+// One rule per archetype: (signals) -> { confidence, evidence } or null
+const RULES = {
+  shitposter: s => s.postCount >= 5 && {
+    confidence: clamp(s.chaos.ratio * 1.5 + s.short.ratio * 0.3 + s.naughty.ratio * 0.4),
+    evidence: [
+      postEvidence('chaosRatio', s.chaos, s.postCount, 'are lol/💀-grade chaos'),
+      postEvidence('shortPostRatio', s.short, s.postCount, 'are one-liners'),
+      postEvidence('naughtyRatio', s.naughty, s.postCount, 'lean naughty')
+    ]
+  },
+  replyguy: s => s.tweetCount >= 5 && {
+    confidence: clamp((s.replies.ratio - 0.2) * 1.6),
+    evidence: [
+      evidence('replyRatio', s.replies.ratio, `${s.replies.count} of ${s.tweetCount} tweets are replies (${percent(s.replies.ratio)})`)
+    ]
+  },
+  brainrot: s => s.postCount >= 5 && {
+    confidence: clamp(s.slang.ratio * 2.5 + s.chaos.ratio * 0.5),
+    evidence: [
+      postEvidence('slangRatio', s.slang, s.postCount, 'use brain-rot slang'),
+      postEvidence('chaosRatio', s.chaos, s.postCount, 'are lol/💀-grade chaos')
+    ]
+  },
+  cloutchaser: s => s.postCount >= 5 && {
+    confidence: clamp(s.clout.ratio * 2.5 + s.promo.ratio * 1.5 + s.links.ratio * 0.4),
+    evidence: [
+      postEvidence('engagementBaitRatio', s.clout, s.postCount, 'fish for likes or follows'),
+      postEvidence('selfPromoRatio', s.promo, s.postCount, 'are self-promotion'),
+      postEvidence('linkRatio', s.links, s.postCount, 'contain links')
+    ]
+  },
+  ragebaiter: s => s.postCount >= 5 && {
+    confidence: clamp(s.naughty.ratio * 0.9 + s.takes.ratio * 2 + s.shouting.ratio * 0.6),
+    evidence: [
+      postEvidence('naughtyRatio', s.naughty, s.postCount, 'lean naughty'),
+      postEvidence('hotTakeRatio', s.takes, s.postCount, 'are "hot takes"'),
+      postEvidence('shoutingRatio', s.shouting, s.postCount, 'are SHOUTED!!')
+    ]
+  },
+  thoughtleader: s => s.postCount >= 5 && {
+    confidence: clamp(s.insights.ratio * 2.5 + s.links.ratio * 0.3),
+    evidence: [
+      postEvidence('insightRatio', s.insights, s.postCount, 'are threads, lessons or "here\'s why"'),
+      postEvidence('linkRatio', s.links, s.postCount, 'contain links')
+    ]
+  },
+  edgelord: s => s.postCount >= 5 && {
+    confidence: clamp(s.edge.ratio * 2.5 + s.naughty.ratio * 0.4),
+    evidence: [
+      postEvidence('edgeRatio', s.edge, s.postCount, 'use edgy vocabulary (based, cringe, cope...)'),
+      postEvidence('naughtyRatio', s.naughty, s.postCount, 'lean naughty')
+    ]
+  },
+  wholesome: s => s.postCount >= 5 && {
+    confidence: clamp((s.nice.ratio - s.naughty.ratio) * 1.4),
+    evidence: [
+      postEvidence('niceRatio', s.nice, s.postCount, 'lean nice'),
+      postEvidence('naughtyRatio', s.naughty, s.postCount, 'lean naughty')
+    ]
+  },
+  builder: s => {
+    const gh = s.github;
+    const githubScore = gh ? Math.min(gh.pushEvents, 20) / 20 * 0.6 + Math.min(gh.prEvents, 5) / 5 * 0.2 + Math.min(gh.repos, 20) / 20 * 0.2 : 0;
+    if (!gh && s.postCount < 5) return null;
+    const items = [];
+    if (gh) {
+      items.push(evidence('githubPushEvents', gh.pushEvents, `${gh.pushEvents} pushes and ${gh.prEvents} PRs in the last ${gh.events} GitHub events`));
+      items.push(evidence('githubRepos', gh.repos, `${gh.repos} public repos`));
+    }
+    if (s.postCount > 0) {
+      items.push(postEvidence('shippingRatio', s.builds, s.postCount, 'talk about shipping or building'));
+    }
+    return { confidence: clamp(githubScore + s.builds.ratio * 1.5), evidence: items };
+  },
+  lurker: s => {
+    if (!s.hasData) return null;
+    const volume = s.profileTweetCount ?? s.postCount;
+    const active = s.github && s.github.events > 5;
+    return {
+      confidence: active ? 0 : clamp(1 - volume / 20),
+      evidence: [
+        evidence('postVolume', volume, s.profileTweetCount !== null ? `${volume} tweets on the profile` : `${volume} posts found across sources`),
+        ...(s.github ? [evidence('githubEvents', s.github.events, `${s.github.events} recent GitHub events`)] : [])
+      ]
+    };
+  }
+};
+
+// rawData: { [sourceId]: fetched data or null } from runSources / the tweet fetch.
+// Returns the strongest archetypes, most confident first:
+//   [{ id, name, emoji, color, confidence, evidence: [{ signal, value, detail }] }]
+function classifyPersonas(rawData) {
+  const signals = collectSignals(rawData);
+
+  return ARCHETYPES
+    .map(archetype => {
+      const result = RULES[archetype.id](signals);
+      return result && { ...archetype, confidence: round(result.confidence), evidence: result.evidence };
+    })
+    .filter(persona => persona && persona.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_PERSONAS)
+    .map(({ description, ...persona }) => persona);
+}
+
+module.exports = {
+  ARCHETYPES,
+  classifyPersonas
+};
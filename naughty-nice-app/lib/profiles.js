@@ -0,0 +1,195 @@
+const fs = require('fs');
+const { getSource, listSources, getDefaultWeights } = require('../sources');
+const { MAX_PHRASE_LENGTH, tokenize } = require('./sentiment');
+
+// ==========================================
+// SCORING PROFILES
+// ==========================================
+// Named tunings of the scorer, loaded once at startup from a JSON file
+// (config/scoring-profiles.json, or SCORING_PROFILES_FILE):
+//
+//   {
+//     "default": "standard",
+//     "profiles": {
+//       "<name>": {
+//         "description": "...",
+//         "extends": "<other profile>",          // optional base profile
+//         "weights": { "<sourceId>": 0-1 },       // share of the final score
+//         "lexicon": { "<term or phrase>": -5..5 }, // added to / overriding the lexicon
+//         "tuning": { "<sourceId>": { "<key>": number } } // see each adapter's TUNING
+//       }
+//     }
+//   }
+//
+// Anything a profile leaves out comes from its base, then the adapters' defaults.
+// An invalid file stops the server from starting, listing every problem.
+const PROFILE_KEYS = ['description', 'extends', 'weights', 'lexicon', 'tuning'];
+
+let profiles = new Map();
+let defaultProfile = null;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function validateProfile(name, profile, names, problems) {
+  const where = `profiles.${name}`;
+  if (!isObject(profile)) {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.includes(key)) problems.push(`${where}.${key} is not a recognized setting`);
+  }
+  if (profile.extends !== undefined && !names.includes(profile.extends)) {
+    problems.push(`${where}.extends refers to unknown profile "${profile.extends}"`);
+  }
+
+  if (profile.weights !== undefined) {
+    if (!isObject(profile.weights)) {
+      problems.push(`${where}.weights must be an object`);
+    } else {
+      for (const [source, weight] of Object.entries(profile.weights)) {
+        if (!getSource(source)) problems.push(`${where}.weights.${source}: unknown source`);
+        else if (!isNumber(weight) || weight < 0 || weight > 1) problems.push(`${where}.weights.${source} must be a number from 0 to 1`);
+      }
+    }
+  }
+
+  if (profile.lexicon !== undefined) {
+    if (!isObject(profile.lexicon)) {
+      problems.push(`${where}.lexicon must be an object`);
+    } else {
+      for (const [term, weight] of Object.entries(profile.lexicon)) {
+        // Text is lowercased before lookup, so mixed-case terms would never match
+        if (term.trim() === '' || term !== term.toLowerCase()) problems.push(`${where}.lexicon."${term}" must be a non-empty lowercase term`);
+        else if (tokenize(term).length > MAX_PHRASE_LENGTH) problems.push(`${where}.lexicon."${term}" is longer than ${MAX_PHRASE_LENGTH} words`);
+        if (!isNumber(weight) || weight < -5 || weight > 5) problems.push(`${where}.lexicon."${term}" must be a number from -5 to 5`);
+      }
+    }
+  }
+
+  if (profile.tuning !== undefined) {
+    if (!isObject(profile.tuning)) {
+      problems.push(`${where}.tuning must be an object`);
+      return;
+    }
+    for (const [source, values] of Object.entries(profile.tuning)) {
+      const adapter = getSource(source);
+      if (!adapter) {
+        problems.push(`${where}.tuning.${source}: unknown source`);
+        continue;
+      }
+      if (!isObject(values)) {
+        problems.push(`${where}.tuning.${source} must be an object`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(values)) {
+        if (!adapter.tuning || adapter.tuning[key] === undefined) {
+          problems.push(`${where}.tuning.${source}.${key} is not a ${adapter.name} setting (expected one of: ${Object.keys(adapter.tuning || {}).join(', ') || 'none'})`);
+        } else if (!isNumber(value) || value < 0) {
+          problems.push(`${where}.tuning.${source}.${key} must be a non-negative number`);
+        }
+      }
+    }
+  }
+}
+
+// Merge a profile over its `extends` chain and the adapter defaults
+function resolveProfile(name, definitions, problems, seen = []) {
+  if (seen.includes(name)) {
+    problems.push(`profiles.${name}.extends forms a cycle: ${[...seen, name].join(' -> ')}`);
+    return null;
+  }
+  const definition = definitions[name];
+  const base = definition.extends
+    ? resolveProfile(definition.extends, definitions, problems, [...seen, name])
+    : { weights: getDefaultWeights(), lexicon: {}, tuning: {} };
+  if (!base) return null;
+
+  const tuning = {};
+  for (const adapter of listSources()) {
+    tuning[adapter.id] = {
+      ...adapter.tuning,
+      ...base.tuning[adapter.id],
+      ...definition.tuning?.[adapter.id]
+    };
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    weights: { ...base.weights, ...definition.weights },
+    lexicon: { ...base.lexicon, ...definition.lexicon },
+    tuning
+  };
+}
+
+function loadProfiles(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read scoring profiles from ${file}: ${err.message}`);
+  }
+
+  const problems = [];
+  const definitions = isObject(config.profiles) ? config.profiles : {};
+  const names = Object.keys(definitions);
+
+  if (names.length === 0) {
+    problems.push('"profiles" must define at least one profile');
+  }
+  if (!names.includes(config.default)) {
+    problems.push(`"default" must name one of the profiles (got ${JSON.stringify(config.default)})`);
+  }
+  names.forEach(name => validateProfile(name, definitions[name], names, problems));
+
+  const resolved = new Map();
+  if (problems.length === 0) {
+    for (const name of names) {
+      const profile = resolveProfile(name, definitions, problems);
+      if (!profile) continue;
+      const totalWeight = Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0);
+      if (totalWeight <= 0) problems.push(`profiles.${name}: weights must not all be 0`);
+      resolved.set(name, profile);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scoring profiles in ${file}:\n  - ${[...new Set(problems)].join('\n  - ')}`);
+  }
+
+  profiles = resolved;
+  defaultProfile = profiles.get(config.default);
+  return profiles.size;
+}
+
+// `name` omitted -> the default profile; unknown -> null
+function getProfile(name) {
+  if (name === undefined || name === null || name === '') return defaultProfile;
+  return profiles.get(name) || null;
+}
+
+function listProfileNames() {
+  return Array.from(profiles.keys());
+}
+
+// Public view for GET /api/profiles
+function describeProfiles() {
+  return Array.from(profiles.values()).map(({ name, description, weights, lexicon, tuning }) => ({
+    name,
+    description,
+    default: defaultProfile?.name === name,
+    weights,
+    lexiconOverrides: Object.keys(lexicon).length,
+    tuning
+  }));
+}
+
+module.exports = {
+  loadProfiles,
+  getProfile,
+  listProfileNames,
+  describeProfiles
+};
@@ -0,0 +1,114 @@
+// ==========================================
+// UPSTREAM QUOTA TRACKING
+// ==========================================
+// GitHub and Reddit report how many calls we have left in response headers.
+// Every response updates the tracker; before each call the adapters ask
+// assertQuota(), which throws while the remaining quota is at or below the
+// reserve, until the window resets. Backing off a little early keeps us from
+// ever hitting the hard limit (and GitHub's secondary bans).
+//
+//   GitHub: x-ratelimit-limit / -remaining / -used, -reset = epoch seconds
+//           (the search API is tracked separately as githubSearch)
+//   Reddit: x-ratelimit-remaining / -used (may be fractional), -reset = seconds from now
+const UPSTREAMS = {
+  github: {
+    name: 'GitHub',
+    reserve: Number(process.env.GITHUB_QUOTA_RESERVE) || 2,
+    resetAt: value => value * 1000
+  },
+  // Search has its own, much smaller window (10/min unauthenticated)
+  githubSearch: {
+    name: 'GitHub search',
+    reserve: 1,
+    resetAt: value => value * 1000
+  },
+  reddit: {
+    name: 'Reddit',
+    reserve: Number(process.env.REDDIT_QUOTA_RESERVE) || 5,
+    resetAt: value => Date.now() + value * 1000
+  }
+};
+
+// Used when an upstream says 429 without telling us when to come back
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+
+const quotas = new Map();
+
+function headerNumber(headers, name) {
+  const value = headers.get(name);
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Call with every upstream response (ok or not)
+function recordQuota(upstream, response) {
+  const config = UPSTREAMS[upstream];
+  const remaining = headerNumber(response.headers, 'x-ratelimit-remaining');
+  const reset = headerNumber(response.headers, 'x-ratelimit-reset');
+  const retryAfter = headerNumber(response.headers, 'retry-after');
+  if (remaining === null && response.status !== 429) return;
+
+  const previous = quotas.get(upstream) || {};
+  const quota = {
+    limit: headerNumber(response.headers, 'x-ratelimit-limit') ?? previous.limit ?? null,
+    used: headerNumber(response.headers, 'x-ratelimit-used') ?? null,
+    remaining: remaining ?? 0,
+    resetAt: reset !== null ? config.resetAt(reset) : Date.now() + (retryAfter !== null ? retryAfter * 1000 : DEFAULT_BACKOFF_MS),
+    updatedAt: Date.now()
+  };
+  quotas.set(upstream, quota);
+
+  const wasBackingOff = previous.remaining <= config.reserve && previous.resetAt > Date.now();
+  if (quota.remaining <= config.reserve && !wasBackingOff) {
+    console.log(`⏳ ${config.name} quota low (${Math.floor(quota.remaining)} left): backing off for ${Math.ceil((quota.resetAt - Date.now()) / 1000)}s`);
+  }
+}
+
+// Milliseconds until we may call `upstream` again (0 = go ahead)
+function backoffMs(upstream) {
+  const quota = quotas.get(upstream);
+  if (!quota || quota.remaining > UPSTREAMS[upstream].reserve) return 0;
+  return Math.max(0, quota.resetAt - Date.now());
+}
+
+function assertQuota(upstream) {
+  const waitMs = backoffMs(upstream);
+  if (waitMs > 0) {
+    const err = new Error(`${UPSTREAMS[upstream].name} API quota nearly exhausted; backing off for ${Math.ceil(waitMs / 1000)}s`);
+    err.name = 'QuotaError';
+    err.retryAfterMs = waitMs;
+    throw err;
+  }
+}
+
+// For /api/health
+function describeQuotas() {
+  const report = {};
+  for (const [upstream, config] of Object.entries(UPSTREAMS)) {
+    const quota = quotas.get(upstream);
+    if (!quota) {
+      report[upstream] = { known: false, reserve: config.reserve };
+      continue;
+    }
+    const expired = quota.resetAt <= Date.now();
+    report[upstream] = {
+      known: true,
+      limit: quota.limit,
+      // Past the reset the window has refilled, but we don't know to what yet
+      remaining: expired ? quota.limit : Math.floor(quota.remaining),
+      resetAt: new Date(quota.resetAt).toISOString(),
+      reserve: config.reserve,
+      backingOff: backoffMs(upstream) > 0,
+      updatedAt: new Date(quota.updatedAt).toISOString()
+    };
+  }
+  return report;
+}
+
+module.exports = {
+  recordQuota,
+  assertQuota,
+  backoffMs,
+  describeQuotas
+};
@@ -0,0 +1,94 @@
+// ==========================================
+// PER-CLIENT RATE LIMITING
+// ==========================================
+// Fixed-window request counter per client IP, one limiter per route. Limits
+// reflect what a request costs us: a Santa chat is a paid Claude call, a
+// batch fans out to every upstream for dozens of users. Each limit can be
+// overridden with RATE_LIMIT_<NAME> (requests per window), e.g.
+// RATE_LIMIT_SANTA_CHAT=20; 0 turns that limiter off.
+//
+// Responses carry RateLimit-Limit / -Remaining / -Reset headers; rejected
+// requests get 429 with Retry-After.
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+const ROUTE_LIMITS = {
+  analyze: 30,
+  analyzeAll: 15,
+  explain: 15,
+  batch: 2,
+  compare: 5,
+  santaChat: 10,
+  chatSessions: 30,
+  history: 60,
+  batchStatus: 60,
+  // Reports are cached, but a scraper polling them is still a client
+  health: 30,
+  metrics: 30
+};
+
+const limiters = new Map();
+
+const envName = name => `RATE_LIMIT_${name.replace(/[A-Z]/g, letter => '_' + letter).toUpperCase()}`;
+
+function limitFor(name) {
+  const override = process.env[envName(name)];
+  return override !== undefined && override !== '' && Number.isFinite(Number(override))
+    ? Number(override)
+    : ROUTE_LIMITS[name];
+}
+
+// Express middleware for the named route limit
+function rateLimit(name, { windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+  const max = limitFor(name);
+  const clients = new Map();
+  limiters.set(name, { max, windowMs, clients });
+
+  // Forget finished windows so the map doesn't grow with every client ever seen
+  setInterval(() => {
+    const now = Date.now();
+    for (const [client, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(client);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    const client = req.ip;
+    let entry = clients.get(client);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(client, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (entry.count > max) {
+      console.log(`🚦 Rate limit: ${client} over ${max}/${windowMs / 1000}s on ${name}`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: `Too many requests. Santa needs a breather - try again in ${resetSeconds}s.` });
+    }
+    next();
+  };
+}
+
+// For /api/health
+function describeRateLimits() {
+  const report = {};
+  for (const [name, { max, windowMs, clients }] of limiters) {
+    report[name] = { max: max || null, windowMs, activeClients: clients.size };
+  }
+  return report;
+}
+
+module.exports = {
+  rateLimit,
+  describeRateLimits
+};
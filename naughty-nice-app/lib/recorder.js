@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ==========================================
+// UPSTREAM RECORD / REPLAY
+// ==========================================
+// Every upstream call (Nitter RSS, Reddit JSON, DuckDuckGo HTML, news feeds,
+// GitHub JSON, the Anthropic API) goes through lib/http.js, which asks the
+// recorder in two modes besides the default "live":
+//
+//   UPSTREAM_MODE=record  call upstream as usual and save each raw response
+//   UPSTREAM_MODE=replay  answer from saved responses only; no network at all
+//
+// Fixtures live in UPSTREAM_FIXTURES_DIR (default fixtures/upstream), one
+// JSON file per request: fixtures/upstream/<host>/<path>-<hash>.json. The
+// hash covers method, URL and request body, with calendar dates in the URL
+// masked so date-relative queries (e.g. GitHub's stale-PR search) still
+// match on a later day. Tokens in response bodies are redacted, and only
+// the response headers the app reads are kept.
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+
+const KEPT_HEADERS = /^(content-type|location|retry-after|x-ratelimit-.*)$/i;
+const REDACTED_FIELDS = ['access_token', 'refresh_token'];
+const DATE_IN_URL = /\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?/g;
+
+function fixtureKey({ method, url, body }) {
+  const normalized = `${method} ${url.replace(DATE_IN_URL, '{date}')}\n${body || ''}`;
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 10);
+}
+
+function fixturePath(dir, request) {
+  const { host, pathname } = new URL(request.url);
+  const slug = pathname.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'root';
+  return path.join(dir, host.replace(/[^A-Za-z0-9.-]/g, '_'), `${slug}-${fixtureKey(request)}.json`);
+}
+
+function redact(body, headers) {
+  if (!/json/i.test(headers['content-type'] || '')) return body;
+  try {
+    const data = JSON.parse(body);
+    if (!data || typeof data !== 'object') return body;
+    const found = REDACTED_FIELDS.filter(field => field in data);
+    if (found.length === 0) return body;
+    found.forEach(field => { data[field] = 'recorded-token'; });
+    return JSON.stringify(data);
+  } catch {
+    return body;
+  }
+}
+
+function createRecorder({ mode = 'live', dir = DEFAULT_FIXTURES_DIR } = {}) {
+  if (!UPSTREAM_MODES.includes(mode)) {
+    throw new Error(`UPSTREAM_MODE must be one of: ${UPSTREAM_MODES.join(', ')} (got "${mode}")`);
+  }
+  let replayed = 0;
+  let recorded = 0;
+  let missed = 0;
+
+  // -> { status, headers, body }, or null when nothing was recorded for it
+  function lookup(request) {
+    const file = fixturePath(dir, request);
+    if (!fs.existsSync(file)) {
+      missed++;
+      console.log(`📼 No recording for ${request.method} ${request.url}`);
+      return null;
+    }
+    replayed++;
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  }
+
+  function save(request, { status, headers = {}, body = '' }) {
+    const kept = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (KEPT_HEADERS.test(name)) kept[name.toLowerCase()] = value;
+    }
+    const file = fixturePath(dir, request);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      request: { method: request.method, url: request.url },
+      response: { status, headers: kept, body: redact(body, kept) }
+    }, null, 2) + '\n');
+    recorded++;
+    console.log(`📼 Recorded ${request.method} ${request.url} (${status})`);
+  }
+
+  // For /api/health
+  function describe() {
+    return { mode, ...(mode !== 'live' && { dir, replayed, recorded, missed }) };
+  }
+
+  return { mode, lookup, save, describe };
+}
+
+const recorder = createRecorder({
+  mode: process.env.UPSTREAM_MODE || 'live',
+  dir: process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+});
+
+if (recorder.mode !== 'live') {
+  console.log(`📼 Upstream ${recorder.mode} mode (${process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR})`);
+}
+
+module.exports = {
+  UPSTREAM_MODES,
+  createRecorder,
+  recorder
+};
@@ -0,0 +1,242 @@
+const { listSources, identityKey } = require('../sources');
+const { responseCache } = require('./cache');
+const { analyzeSentiment } = require('./sentiment');
+const { createLlmScorer } = require('./llm-classifier');
+const { recordSourceEvent, recordScoringFallback } = require('./metrics');
+const { applyWindow, monthlyTrend, recencyWeightedScore } = require('./timeline');
+
+// Scoring modes for analyze requests: the keyword lexicon, or per-post Claude classification
+const SCORING_MODES = ['lexicon', 'llm'];
+
+// Per-source deadline and overall budget for one multi-source lookup
+const SOURCE_TIMEOUT_MS = Number(process.env.SOURCE_TIMEOUT_MS) || 12000;
+const ANALYZE_BUDGET_MS = Number(process.env.ANALYZE_BUDGET_MS) || 20000;
+
+// AbortSignal.timeout() timers are unref'd; we want ours to keep the process
+// alive until they fire or are cleared.
+function deadline(ms) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    const err = new Error(`Timed out after ${ms}ms`);
+    err.name = 'TimeoutError';
+    controller.abort(err);
+  }, ms);
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+// Rejects as soon as the signal aborts, so adapters that ignore it can't hold us up
+function untilAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+// CACHE_TTL_<SOURCE>_MS overrides an adapter's own cacheTtl
+function cacheTtlFor(adapter) {
+  return Number(process.env[`CACHE_TTL_${adapter.id.toUpperCase()}_MS`]) || adapter.cacheTtl;
+}
+
+// Fetch one source through the response cache, within its own deadline.
+// Resolves { data, cache: { status, ageMs } }; rejects with the abort reason
+// (a TimeoutError for deadlines) if `signal` or the deadline fires first.
+async function fetchSource(adapter, username, { signal, report = () => {} } = {}) {
+  const sourceDeadline = deadline(adapter.timeout || SOURCE_TIMEOUT_MS);
+  const fetchSignal = signal ? AbortSignal.any([signal, sourceDeadline.signal]) : sourceDeadline.signal;
+
+  // Background refreshes run after the caller is gone, so they don't report progress
+  const loader = ({ signal: loadSignal, background }) =>
+    adapter.fetch(username, { signal: loadSignal, report: background ? () => {} : report });
+
+  try {
+    const { value, status, ageMs } = await Promise.race([
+      responseCache.fetch(adapter.id, username, loader, { ttl: cacheTtlFor(adapter), signal: fetchSignal }),
+      untilAborted(fetchSignal)
+    ]);
+    return { data: value, cache: { status, ageMs } };
+  } finally {
+    sourceDeadline.clear();
+  }
+}
+
+// Scorer for the requested mode. Mode "llm" falls back to the lexicon (with
+// `modeFallback` explaining why) when Claude isn't configured, the call fails,
+// or the source has no text to classify.
+async function pickScorer(adapter, data, { mode, lexiconScorer, signal }) {
+  if (mode !== 'llm') {
+    return { scorer: lexiconScorer, details: { scoringMode: 'lexicon' } };
+  }
+  if (!adapter.llm) {
+    return { scorer: lexiconScorer, details: { scoringMode: 'lexicon', modeFallback: `${adapter.name} is not text-based` } };
+  }
+
+  const { scorer, reason } = await createLlmScorer(adapter.llm.texts(data), {
+    kind: adapter.llm.kind,
+    fallback: lexiconScorer,
+    signal
+  });
+  if (!scorer) {
+    recordScoringFallback(adapter.id);
+    return { scorer: lexiconScorer, details: { scoringMode: 'lexicon', modeFallback: reason } };
+  }
+  return { scorer, details: { scoringMode: 'llm' } };
+}
+
+// Run an adapter's analyzer in the requested scoring mode and profile (see
+// lib/profiles.js). Sources with a `timeline` also get a monthly `trend`, and
+// with window.recencyHalfLifeDays their score leans on recent months (see
+// lib/timeline.js); `data` should already be narrowed with applyWindow().
+// That half-life replaces an adapter's own `recencyHalfLifeDays` tuning
+// (news), so recent items aren't weighted up twice.
+async function analyzeSource(adapter, data, { mode = 'lexicon', profile, signal, window } = {}) {
+  const profileTuning = profile?.tuning[adapter.id] || adapter.tuning;
+  const tuning = window?.recencyHalfLifeDays && profileTuning?.recencyHalfLifeDays !== undefined
+    ? { ...profileTuning, recencyHalfLifeDays: 0 }
+    : profileTuning;
+  const lexicon = { ...adapter.lexicon, ...profile?.lexicon };
+  const lexiconScorer = Object.keys(lexicon).length > 0
+    ? text => analyzeSentiment(text, { lexicon })
+    : analyzeSentiment;
+
+  const { scorer, details } = await pickScorer(adapter, data, { mode, lexiconScorer, signal });
+  const analyze = windowData => adapter.analyze(windowData, { scorer, tuning });
+  const result = { ...analyze(data), ...details };
+  if (!adapter.timeline) return result;
+
+  result.trend = monthlyTrend(adapter, data, analyze);
+  if (window?.recencyHalfLifeDays) {
+    const weighted = recencyWeightedScore(result.trend, window.recencyHalfLifeDays);
+    if (weighted !== null) {
+      result.unweightedScore = result.score;
+      result.score = weighted;
+      result.verdict = weighted >= 50 ? 'NICE' : 'NAUGHTY';
+    }
+  }
+  return result;
+}
+
+// Progress events (all carry `source`):
+//   source:start, source:attempt, source:fallback   while fetching
+//   source:cache { status, ageMs }                   answered from the response cache
+//   source:done { found, score?, verdict? }          finished, with or without data
+//   source:timeout, source:error { error }           gave up
+async function runSource(adapter, username, budgetSignal, onEvent, { mode, profile, window }) {
+  const startedAt = Date.now();
+  let settled = false;
+  const emit = (type, details = {}) => {
+    const event = { type: `source:${type}`, source: adapter.id, ...details };
+    recordSourceEvent(event);
+    onEvent(event);
+  };
+  const report = ({ type, ...details }) => {
+    if (!settled) emit(type, details);
+  };
+
+  console.log(`   ${adapter.icon} Checking ${adapter.name}...`);
+  emit('start');
+  try {
+    const { data, cache } = await fetchSource(adapter, username, { signal: budgetSignal, report });
+    const durationMs = Date.now() - startedAt;
+    if (cache.status !== 'miss') {
+      emit('cache', cache);
+    }
+
+    if (!data.found) {
+      console.log(`   ⚠️ ${adapter.name}: No data found for ${username}`);
+      emit('done', { found: false, durationMs });
+      return { adapter, data, result: { found: false, durationMs, cache: cache.status } };
+    }
+
+    // The cache keeps everything; the window only narrows what gets scored
+    const windowed = applyWindow(adapter, data, window);
+    if (windowed.bounded && windowed.items === 0) {
+      console.log(`   ⚠️ ${adapter.name}: Nothing for ${username} in the time window`);
+      emit('done', { found: false, durationMs });
+      return {
+        adapter,
+        data,
+        result: {
+          found: false,
+          emptyWindow: true,
+          undatedExcluded: windowed.undated,
+          ...(windowed.coveredSince && { coveredSince: windowed.coveredSince }),
+          durationMs,
+          cache: cache.status
+        }
+      };
+    }
+
+    const analysis = await analyzeSource(adapter, windowed.data, { mode, profile, signal: budgetSignal, window });
+    console.log(`   ✅ ${adapter.name}: ${analysis.score}/100 (${analysis.verdict}) in ${durationMs}ms`);
+    emit('done', { found: true, score: analysis.score, verdict: analysis.verdict, durationMs });
+    const result = {
+      ...analysis,
+      found: true,
+      durationMs,
+      cache: cache.status,
+      ...(data.via && { dataSource: data.via }),
+      ...(windowed.bounded && { itemsInWindow: windowed.items, undatedExcluded: windowed.undated }),
+      // The window starts before what was fetched, so its start isn't scored
+      ...(windowed.coveredSince && { coveredSince: windowed.coveredSince })
+    };
+    return { adapter, data: windowed.data, result };
+  } catch (err) {
+    const durationMs = Date.now() - startedAt;
+    if (err.name === 'TimeoutError' || budgetSignal.aborted) {
+      console.log(`   ⏱️ ${adapter.name}: timed out after ${durationMs}ms`);
+      emit('timeout', { durationMs });
+      return { adapter, data: null, result: { found: false, timedOut: true, durationMs } };
+    }
+    console.log(`   ❌ ${adapter.name} failed: ${err.message}`);
+    emit('error', { error: err.message, durationMs });
+    return { adapter, data: null, result: { found: false, error: err.message, durationMs } };
+  } finally {
+    settled = true;
+  }
+}
+
+// Fetch and analyze every registered source in parallel. Always resolves:
+// sources that miss their deadline (or the overall budget) come back as
+// { found: false, timedOut: true } so the verdict can use whatever finished.
+// Pass `signal` to give up early (e.g. the client disconnected).
+// `rawData` keeps each found source's fetched data for cross-source signals.
+// `identities` ({ twitter, reddit, github, newsQuery }) overrides the handle per source.
+// `window` (lib/timeline.js parseWindow) narrows every source to a date range.
+async function runSources(username, { budgetMs = ANALYZE_BUDGET_MS, signal, onEvent = () => {}, mode = 'lexicon', profile, identities = {}, window = null } = {}) {
+  const budget = deadline(budgetMs);
+  const budgetSignal = signal ? AbortSignal.any([budget.signal, signal]) : budget.signal;
+  const handleFor = adapter => identities[identityKey(adapter)] || username;
+  const runs = await Promise.all(
+    listSources().map(adapter => runSource(adapter, handleFor(adapter), budgetSignal, onEvent, { mode, profile, window }))
+  );
+  budget.clear();
+
+  const sources = {};
+  const rawData = {};
+  let primaryUser = null;
+
+  // Registration order decides whose profile fronts the results card
+  for (const { adapter, data, result } of runs) {
+    sources[adapter.id] = result;
+    rawData[adapter.id] = result.found ? data : null;
+    if (!primaryUser && result.found && adapter.profile) {
+      primaryUser = adapter.profile(data, handleFor(adapter));
+    }
+  }
+
+  return {
+    sources,
+    rawData,
+    primaryUser,
+    timedOut: runs.filter(run => run.result.timedOut).map(run => run.adapter.id)
+  };
+}
+
+module.exports = {
+  SOURCE_TIMEOUT_MS,
+  ANALYZE_BUDGET_MS,
+  SCORING_MODES,
+  fetchSource,
+  analyzeSource,
+  runSources
+};
@@ -0,0 +1,272 @@
+const { anthropic } = require('./anthropic');
+const { getSource } = require('../sources');
+const { fetchSource, analyzeSource } = require('./run-sources');
+
+// ==========================================
+// SANTA CHAT TOOLS
+// ==========================================
+// Claude decides mid-conversation what to look up: each tool is backed by the
+// same cached fetchers and analyzers as /api/analyze-all, and answers with a
+// compact JSON summary (score, verdict, counts, top evidence) rather than the
+// raw data, so a few lookups fit comfortably in one request.
+//
+// runSantaTurn() loops while Claude stops for tool_use, up to
+// SANTA_MAX_TOOL_ROUNDS; the round after that has tools switched off so
+// Santa has to answer with what he found. Only that answer is stored in the
+// chat session, not the tool results: a follow-up that needs the data again
+// looks it up again, which the response cache makes cheap.
+const SANTA_MAX_TOOL_ROUNDS = Number(process.env.SANTA_MAX_TOOL_ROUNDS) || 4;
+const EVIDENCE_FOR_SANTA = 6;
+const MAX_QUERY_CHARS = 100;
+
+// Twitter/Reddit/GitHub handles, with an optional "@" or "u/" in front
+const HANDLE_PATTERN = /^[A-Za-z0-9_-]{1,39}$/;
+
+const handleInput = description => ({
+  type: 'object',
+  properties: {
+    username: { type: 'string', description }
+  },
+  required: ['username']
+});
+
+// Tool name -> source adapter id, for the per-platform lookups
+const LOOKUP_TOOLS = {
+  lookup_twitter: 'twitter',
+  lookup_reddit: 'reddit',
+  lookup_github: 'github',
+  search_news: 'news'
+};
+
+const SANTA_TOOL_DEFINITIONS = [
+  {
+    name: 'lookup_twitter',
+    description: 'Fetch and score a Twitter/X user\'s recent tweets. Returns their naughty/nice score, counts, the tweets that moved the score most, and a sample of recent tweets to quote.',
+    input_schema: handleInput('Twitter handle, without the @')
+  },
+  {
+    name: 'lookup_reddit',
+    description: 'Fetch and score a Reddit user\'s recent comments and posts. Returns their score, removed/deleted counts, the subreddits they are most active in, and the comments that moved the score most.',
+    input_schema: handleInput('Reddit username, without the u/')
+  },
+  {
+    name: 'lookup_github',
+    description: 'Fetch and score a GitHub user\'s profile, public activity and comments. Returns their score, repos, followers, force pushes, abandoned pull requests and the activity that moved the score most.',
+    input_schema: handleInput('GitHub login')
+  },
+  {
+    name: 'search_news',
+    description: 'Search news coverage of a person and score its tone. Returns the score, how many articles and publishers were found, whether the query looked ambiguous, and the most telling headlines.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Who to search for, e.g. a full name or "handle developer"' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'get_score',
+    description: 'Run the full multi-source Naughty-or-Nice analysis (Twitter, Reddit, GitHub and news together) and return the official weighted final score, verdict, per-source scores and personas. Use this when asked for someone\'s overall score or verdict.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        username: { type: 'string', description: 'Main handle, used on every platform unless overridden below' },
+        reddit: { type: 'string', description: 'Reddit username, if different' },
+        github: { type: 'string', description: 'GitHub login, if different' },
+        news_query: { type: 'string', description: 'News search query, if different' }
+      },
+      required: ['username']
+    }
+  }
+];
+
+function cleanHandle(value, label) {
+  const handle = typeof value === 'string' ? value.trim().replace(/^(@|u\/)/i, '') : '';
+  if (!HANDLE_PATTERN.test(handle)) {
+    throw new Error(`${label} must be a plain handle (letters, digits, _ or -)`);
+  }
+  return handle;
+}
+
+// Per-source extras beyond the analysis' own numbers
+const SOURCE_EXTRAS = {
+  twitter: (data) => ({
+    profile: data.user && { name: data.user.name, description: data.user.description, followers: data.user.followers },
+    recentTweets: (data.tweets || []).slice(0, 15).map(tweet => tweet.text)
+  }),
+  reddit: (data, analysis) => ({
+    subreddits: (analysis.subreddits || []).slice(0, 5)
+  }),
+  news: (data, analysis, adapter) => ({
+    articles: adapter.timeline.items(data).slice(0, 8).map(({ title, publisher, date }) => ({ title, publisher, date }))
+  })
+};
+
+// Scalar fields of the analysis (score, verdict, counts) plus the top evidence
+function summarizeLookup(adapter, data, analysis) {
+  const facts = {};
+  for (const [key, value] of Object.entries(analysis)) {
+    if (value === null || typeof value !== 'object') facts[key] = value;
+  }
+  const extras = SOURCE_EXTRAS[adapter.id];
+  return {
+    source: adapter.name,
+    found: true,
+    ...facts,
+    evidence: (analysis.evidence || []).slice(0, EVIDENCE_FOR_SANTA).map(({ text, points }) => ({ text, points })),
+    ...(extras && extras(data, analysis, adapter))
+  };
+}
+
+async function lookupSource(sourceId, handle, { signal }) {
+  const adapter = getSource(sourceId);
+  const { data } = await fetchSource(adapter, handle, { signal });
+  if (!data.found) {
+    return { source: adapter.name, found: false, handle };
+  }
+  const analysis = await analyzeSource(adapter, data, { signal });
+  return { handle, ...summarizeLookup(adapter, data, analysis) };
+}
+
+function summarizeScore(username, result) {
+  const sources = {};
+  for (const [id, entry] of Object.entries(result.breakdown)) {
+    sources[id] = entry.found === false
+      ? { found: false, ...(entry.timedOut && { timedOut: true }) }
+      : { score: entry.score, verdict: entry.verdict, weight: entry.weight, ...(entry.excluded && { excluded: entry.excluded }) };
+  }
+  return {
+    username,
+    finalScore: result.finalScore,
+    verdict: result.verdict,
+    sourcesFound: result.sourcesFound,
+    formula: result.explanation.formula,
+    sources,
+    handles: result.identity.resolved,
+    personas: result.personas.map(persona => persona.name),
+    ...(result.partial && { timedOut: result.timedOut })
+  };
+}
+
+// `scoreUser(username, { identities, signal })` runs the full analysis for
+// get_score (the app's analyzeAllSources, without recording history).
+function createSantaTools({ scoreUser }) {
+  async function call(name, input, { signal }) {
+    if (LOOKUP_TOOLS[name] === 'news') {
+      const query = typeof input.query === 'string' ? input.query.trim() : '';
+      if (!query || query.length > MAX_QUERY_CHARS) {
+        throw new Error(`query must be 1-${MAX_QUERY_CHARS} characters`);
+      }
+      return lookupSource('news', query, { signal });
+    }
+    if (LOOKUP_TOOLS[name]) {
+      return lookupSource(LOOKUP_TOOLS[name], cleanHandle(input.username, 'username'), { signal });
+    }
+    if (name === 'get_score') {
+      const username = cleanHandle(input.username, 'username');
+      const identities = {
+        ...(input.reddit && { reddit: cleanHandle(input.reddit, 'reddit') }),
+        ...(input.github && { github: cleanHandle(input.github, 'github') }),
+        ...(input.news_query && { newsQuery: String(input.news_query).slice(0, MAX_QUERY_CHARS) })
+      };
+      return summarizeScore(username, await scoreUser(username, { identities, signal }));
+    }
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  // Failures go back to Claude as { error } so Santa can say so; only an
+  // aborted chat (the browser left) rejects
+  async function run(name, input = {}, { signal } = {}) {
+    console.log(`🛠️ Santa is using ${name} ${JSON.stringify(input)}`);
+    try {
+      return { result: await call(name, input, { signal }) };
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.log(`⚠️ Santa's ${name} lookup failed:`, err.message);
+      return { error: err.message };
+    }
+  }
+
+  return { definitions: SANTA_TOOL_DEFINITIONS, run };
+}
+
+// One Messages API round, streamed: text deltas go to `onText` as they arrive
+async function streamRound(params, signal, onText) {
+  const messageStream = anthropic.messages.stream(params, { signal });
+  messageStream.on('text', onText);
+  return messageStream.finalMessage();
+}
+
+// Answer one chat message, letting Claude call `tools` along the way.
+// `request` is a Messages API request without tools. With `stream`, each
+// round is streamed and its text passed to `onText`; `onLookup({ tool, input })`
+// fires as each tool call starts. Resolves { text, stopReason, lookups },
+// where text is everything Santa said across rounds and lookups is
+// [{ tool, input, found } or { tool, input, error }].
+async function runSantaTurn(request, { tools, stream = false, signal, onText = () => {}, onLookup = () => {} }) {
+  const messages = [...request.messages];
+  const lookups = [];
+  let text = '';
+
+  for (let round = 1; ; round++) {
+    // Past the limit tools are off, and whatever comes back is the answer
+    const lastRound = round > SANTA_MAX_TOOL_ROUNDS;
+
+    // Text from a later round starts a new paragraph
+    let roundStarted = false;
+    const emit = delta => {
+      if (!roundStarted && text) {
+        text += '\n\n';
+        onText('\n\n');
+      }
+      roundStarted = true;
+      text += delta;
+      onText(delta);
+    };
+
+    const params = {
+      ...request,
+      messages: [...messages],
+      tools: tools.definitions,
+      ...(lastRound && { tool_choice: { type: 'none' } })
+    };
+    const response = stream
+      ? await streamRound(params, signal, emit)
+      : await anthropic.messages.create(params, { signal });
+    if (!stream) {
+      response.content.filter(block => block.type === 'text' && block.text).forEach(block => emit(block.text));
+    }
+
+    const toolUses = response.content.filter(block => block.type === 'tool_use');
+    if (response.stop_reason !== 'tool_use' || toolUses.length === 0 || lastRound) {
+      return { text, stopReason: response.stop_reason, lookups };
+    }
+
+    messages.push({ role: 'assistant', content: response.content });
+    const outcomes = await Promise.all(toolUses.map(block => {
+      onLookup({ tool: block.name, input: block.input });
+      return tools.run(block.name, block.input, { signal });
+    }));
+    messages.push({
+      role: 'user',
+      content: toolUses.map((block, i) => {
+        const { result, error } = outcomes[i];
+        lookups.push({ tool: block.name, input: block.input, ...(error ? { error } : { found: result.found !== false }) });
+        return {
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: JSON.stringify(error ? { error } : result),
+          ...(error && { is_error: true })
+        };
+      })
+    });
+  }
+}
+
+module.exports = {
+  SANTA_MAX_TOOL_ROUNDS,
+  SANTA_TOOL_DEFINITIONS,
+  createSantaTools,
+  runSantaTurn
+};
@@ -0,0 +1,83 @@
+const { listSources, getDefaultWeights } = require('../sources');
+
+// ==========================================
+// WEIGHTED SCORE CALCULATOR
+// ==========================================
+// Weights default to each registered adapter's own weight. Sources that
+// weren't found give up their weight: the rest are rescaled to sum to 100%.
+// So do sources marked `excluded` (a reason string): they stay in the
+// breakdown, with their own score, but don't count toward the final one.
+// `explanation` records every step so a score can be reproduced by hand.
+function calculateWeightedScore(sources, weights = getDefaultWeights()) {
+  let totalWeight = 0;
+  let weightedSum = 0;
+  const breakdown = {};
+  const steps = [];
+  
+  for (const { id: source } of listSources()) {
+    const data = sources[source];
+    const weight = weights[source] || 0;
+    if (data && data.found !== false && data.excluded) {
+      breakdown[source] = { ...data, weight: '0%' };
+      steps.push({ source, status: 'excluded', reason: data.excluded, score: null, weight });
+    } else if (data && data.found !== false && data.score !== undefined) {
+      weightedSum += data.score * weight;
+      totalWeight += weight;
+      breakdown[source] = {
+        score: data.score,
+        weight: Math.round(weight * 100) + '%',
+        verdict: data.verdict,
+        ...data
+      };
+      steps.push({ source, status: 'counted', score: data.score, weight });
+    } else if (data && data.timedOut) {
+      // Keep timed-out sources visible, but they don't count toward the score
+      breakdown[source] = { found: false, timedOut: true };
+      steps.push({ source, status: 'timed out', score: null, weight });
+    } else if (data && data.emptyWindow) {
+      // Found, but nothing dated inside the requested since/until window
+      breakdown[source] = { found: false, emptyWindow: true, ...(data.coveredSince && { coveredSince: data.coveredSince }) };
+      steps.push({ source, status: 'nothing in window', score: null, weight });
+    } else {
+      steps.push({ source, status: data && data.error ? 'failed' : 'not found', score: null, weight });
+    }
+  }
+  
+  // Redistribute weight if some sources are missing
+  const rawScore = totalWeight > 0 ? weightedSum / totalWeight : 50;
+  const finalScore = Math.round(rawScore);
+  const round = value => Math.round(value * 10000) / 10000;
+  
+  const counted = steps.filter(step => step.status === 'counted');
+  const explanation = {
+    formula: counted.length > 0
+      ? `(${counted.map(step => `${step.score} × ${step.weight}`).join(' + ')}) / ${round(totalWeight)} = ${round(rawScore)} → ${finalScore}`
+      : 'No sources found → neutral 50',
+    weightedSum: round(weightedSum),
+    totalWeight: round(totalWeight),
+    redistributed: counted.length > 0 && counted.length < steps.length,
+    rawScore: round(rawScore),
+    finalScore,
+    verdictThreshold: 50,
+    sources: steps.map(step => {
+      const effectiveWeight = step.status === 'counted' && totalWeight > 0 ? step.weight / totalWeight : 0;
+      return {
+        ...step,
+        effectiveWeight: round(effectiveWeight),
+        contribution: step.status === 'counted' ? round(step.score * effectiveWeight) : 0
+      };
+    })
+  };
+  
+  return {
+    finalScore,
+    verdict: finalScore >= 50 ? 'NICE' : 'NAUGHTY',
+    breakdown,
+    explanation,
+    sourcesFound: Object.values(breakdown).filter(entry => entry.found !== false).length
+  };
+}
+
+module.exports = {
+  calculateWeightedScore
+};
@@ -0,0 +1,168 @@
+const { LEXICON, NEGATORS, MODIFIERS } = require('./lexicon');
+
+// ==========================================
+// SENTIMENT ENGINE
+// ==========================================
+// Lexicon scoring in the spirit of AFINN/VADER:
+//   - whole-word tokens, so "skill" never matches "kill"
+//   - phrases ("thank you", "kind of") are matched before single words
+//   - a negator up to 3 tokens back (same clause) flips and dampens the next
+//     sentiment word, so "not bad" is mildly nice
+//   - intensifiers/diminishers scale the next word ("very happy", "kinda rude")
+//   - emoji are tokens with their own weights
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.5;
+const MAX_PHRASE_LENGTH = 3;
+const SUFFIXES = ['ers', 'ing', 'ed', 'es', 'er', 'ly', 's', 'd'];
+// Suffixes that drop a silent e ("hated" -> "hate"); only these get the
+// stem + "e" retry. A stem that still ends in e can't take a suffix starting
+// with e ("care" + "ers" is "carers"), so "careers" and "caress" aren't "care".
+const E_DROPPING_SUFFIXES = ['ing', 'ed', 'er'];
+const MIN_STEM_LENGTH = 3;
+
+const TOKEN_REGEX = /(\p{Extended_Pictographic})|([\p{L}\p{N}]+(?:'[\p{L}]+)*)|([.,!?;]+)/gu;
+const BOUNDARY = '.';
+
+function tokenize(text) {
+  const tokens = [];
+  const normalized = text.toLowerCase().replace(/[‘’]/g, "'").replace(/\uFE0F/g, '');
+  for (const match of normalized.matchAll(TOKEN_REGEX)) {
+    if (match[3]) {
+      tokens.push(BOUNDARY);
+    } else {
+      // "don't" -> "dont" so contractions line up with NEGATORS
+      tokens.push((match[1] || match[2]).replace(/'/g, ''));
+    }
+  }
+  return tokens;
+}
+
+// Exact match first, then a light suffix strip ("helping" -> "help", "loves" -> "love")
+function lookup(token, lexicon) {
+  if (lexicon[token] !== undefined) return { term: token, weight: lexicon[token] };
+
+  for (const suffix of SUFFIXES) {
+    if (!token.endsWith(suffix)) continue;
+    const stem = token.slice(0, -suffix.length);
+    if (stem.length < MIN_STEM_LENGTH) continue;
+    if (suffix.startsWith('e') && stem.endsWith('e')) continue;
+    if (lexicon[stem] !== undefined) return { term: stem, weight: lexicon[stem] };
+    if (E_DROPPING_SUFFIXES.includes(suffix) && lexicon[stem + 'e'] !== undefined) {
+      return { term: stem + 'e', weight: lexicon[stem + 'e'] };
+    }
+  }
+  return null;
+}
+
+function matchPhrase(tokens, i, table) {
+  for (let length = MAX_PHRASE_LENGTH; length >= 2; length--) {
+    const phrase = tokens.slice(i, i + length).join(' ');
+    if (table[phrase] !== undefined) return { phrase, length, value: table[phrase] };
+  }
+  return null;
+}
+
+// Score one piece of text. `lexicon` adds to (or overrides) the default weights.
+// Returns the total plus every matched term, so callers can show what drove it.
+function analyzeSentiment(text, { lexicon: extraLexicon } = {}) {
+  const lexicon = extraLexicon ? { ...LEXICON, ...extraLexicon } : LEXICON;
+  const tokens = tokenize(text || '');
+  const matches = [];
+  let lastNegator = -Infinity;
+  let multiplier = 1;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === BOUNDARY) {
+      lastNegator = -Infinity;
+      multiplier = 1;
+      continue;
+    }
+
+    const modifierPhrase = matchPhrase(tokens, i, MODIFIERS);
+    if (modifierPhrase) {
+      multiplier *= modifierPhrase.value;
+      i += modifierPhrase.length - 1;
+      continue;
+    }
+
+    const phrase = matchPhrase(tokens, i, lexicon);
+    const hit = phrase ? { term: phrase.phrase, weight: phrase.value } : lookup(token, lexicon);
+
+    if (hit) {
+      const negated = i - lastNegator <= NEGATION_SCOPE;
+      const weight = hit.weight * multiplier * (negated ? NEGATION_FACTOR : 1);
+      matches.push({
+        term: negated ? `not ${hit.term}` : hit.term,
+        weight: Math.round(weight * 100) / 100,
+        negated
+      });
+      multiplier = 1;
+      if (negated) lastNegator = -Infinity;
+      if (phrase) i += phrase.length - 1;
+      continue;
+    }
+
+    if (NEGATORS.has(token)) {
+      lastNegator = i;
+    } else if (MODIFIERS[token] !== undefined) {
+      multiplier *= MODIFIERS[token];
+      continue;
+    }
+    multiplier = 1;
+  }
+
+  const positive = matches.filter(m => m.weight > 0).reduce((sum, m) => sum + m.weight, 0);
+  const negative = matches.filter(m => m.weight < 0).reduce((sum, m) => sum - m.weight, 0);
+
+  return {
+    score: Math.round((positive - negative) * 100) / 100,
+    positive: Math.round(positive * 100) / 100,
+    negative: Math.round(negative * 100) / 100,
+    tokens: tokens.filter(t => t !== BOUNDARY).length,
+    matches
+  };
+}
+
+// Accumulates sentiment over many texts (tweets, comments, snippets)
+function createTally() {
+  const terms = new Map();
+  const tally = {
+    positive: 0,
+    negative: 0,
+    niceCount: 0,
+    naughtyCount: 0,
+
+    add(sentiment) {
+      tally.positive += sentiment.positive;
+      tally.negative += sentiment.negative;
+      for (const { term, weight } of sentiment.matches) {
+        if (weight > 0) tally.niceCount++;
+        if (weight < 0) tally.naughtyCount++;
+        const entry = terms.get(term) || { term, count: 0, points: 0 };
+        entry.count++;
+        entry.points = Math.round((entry.points + weight) * 100) / 100;
+        terms.set(term, entry);
+      }
+      return sentiment;
+    },
+
+    // The terms that moved the score most, in each direction
+    drivers(limit = 8) {
+      const all = Array.from(terms.values());
+      return {
+        nice: all.filter(t => t.points > 0).sort((a, b) => b.points - a.points).slice(0, limit),
+        naughty: all.filter(t => t.points < 0).sort((a, b) => a.points - b.points).slice(0, limit)
+      };
+    }
+  };
+  return tally;
+}
+
+module.exports = {
+  MAX_PHRASE_LENGTH,
+  tokenize,
+  analyzeSentiment,
+  createTally
+};
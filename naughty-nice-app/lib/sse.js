@@ -0,0 +1,38 @@
+// ==========================================
+// SERVER-SENT EVENTS
+// ==========================================
+// Switch an Express response into an SSE stream.
+// `signal` aborts when the browser disconnects, so callers can stop work early.
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort(new Error('Client disconnected')));
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!controller.signal.aborted) res.end();
+    }
+  };
+}
+
+// Refuse a stream request with a single `error` event. EventSource can't
+// read the body of a 4xx, so the browser would only see a dropped connection.
+function refuseEventStream(res, error) {
+  const stream = openEventStream(res);
+  stream.send('error', { error });
+  stream.end();
+}
+
+module.exports = { openEventStream, refuseEventStream };
@@ -0,0 +1,162 @@
+// ==========================================
+// TIME WINDOWS & TRENDS
+// ==========================================
+// "Naughty this year" vs all time. A window ({ since, until }) keeps only the
+// items each source dated inside it; undated items can't be placed, so they
+// only count when no window is set. Every source's items are also bucketed
+// by month and scored per month for a trend line, and with
+// `recencyHalfLifeDays` a source's score becomes the item-weighted average
+// of its monthly scores, each month counting half as much per half-life of age.
+//
+// Adapters opt in with `timeline` (see sources/index.js):
+//   { items(data), date(item), filter(data, keep) }
+const MAX_TREND_MONTHS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = { d: 1, w: 7, m: 30.44, y: 365.25 };
+
+// Accepts an ISO date ("2025-01-01"), a relative age ("90d", "6m", "1y")
+// or "this-year". Returns a timestamp, null for "not set", or NaN if invalid.
+function parseBoundary(value, now) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (text === 'this-year') return Date.UTC(new Date(now).getUTCFullYear(), 0, 1);
+  const relative = text.match(/^(\d+)([dwmy])$/);
+  if (relative) return now - Number(relative[1]) * RELATIVE_UNITS[relative[2]] * DAY_MS;
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : NaN;
+}
+
+// Validate the request's since/until/recencyHalfLifeDays.
+// Returns { window } (null when nothing was asked for) or { error }. The
+// window's since/until are absolute; `requested` keeps them as the caller
+// wrote them ("90d" stays "90d"), which is what makes two runs comparable.
+function parseWindow({ since, until, recencyHalfLifeDays } = {}, now = Date.now()) {
+  const start = parseBoundary(since, now);
+  const end = parseBoundary(until, now);
+  if (Number.isNaN(start)) return { error: 'since must be a date (YYYY-MM-DD), a relative age like 90d/6m/1y, or this-year' };
+  if (Number.isNaN(end)) return { error: 'until must be a date (YYYY-MM-DD), a relative age like 90d/6m/1y, or this-year' };
+  if (start !== null && end !== null && start >= end) return { error: 'since must be before until' };
+
+  let halfLife = null;
+  if (recencyHalfLifeDays !== undefined && recencyHalfLifeDays !== null && recencyHalfLifeDays !== '') {
+    halfLife = Number(recencyHalfLifeDays);
+    if (!Number.isFinite(halfLife) || halfLife <= 0) return { error: 'recencyHalfLifeDays must be a positive number of days' };
+  }
+
+  if (start === null && end === null && halfLife === null) return { window: null };
+  return {
+    window: {
+      since: start !== null ? new Date(start).toISOString() : null,
+      until: end !== null ? new Date(end).toISOString() : null,
+      recencyHalfLifeDays: halfLife,
+      requested: {
+        since: start !== null ? String(since).trim() : null,
+        until: end !== null ? String(until).trim() : null
+      }
+    }
+  };
+}
+
+function itemTime(timeline, item) {
+  const time = Date.parse(timeline.date(item) || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+const monthKey = time => new Date(time).toISOString().slice(0, 7);
+
+// Narrow a source's data to the window. Returns { data, items, undated, bounded, coveredSince }:
+// the filtered data, how many items it kept, how many undated ones were
+// dropped for lack of a date, whether there was a date range at all, and,
+// when the fetch stopped short of the window's start, the date it reaches
+// back to (otherwise null). Adapters without a timeline pass through
+// untouched (items: null).
+function applyWindow(adapter, data, window) {
+  const { timeline } = adapter;
+  if (!timeline) return { data, items: null, undated: 0, bounded: false, coveredSince: null };
+
+  const since = window?.since ? Date.parse(window.since) : null;
+  const until = window?.until ? Date.parse(window.until) : null;
+  const bounded = since !== null || until !== null;
+  let undated = 0;
+
+  const keep = item => {
+    const time = itemTime(timeline, item);
+    if (time === null) {
+      if (bounded) undated++;
+      return !bounded;
+    }
+    return (since === null || time >= since) && (until === null || time < until);
+  };
+  const filtered = bounded ? timeline.filter(data, keep) : data;
+  const coverage = timeline.coverage ? timeline.coverage(data) : null;
+  const coveredSince = coverage && since !== null && since < Date.parse(coverage.since) ? coverage.since : null;
+  return { data: filtered, items: timeline.items(filtered).length, undated, bounded, coveredSince };
+}
+
+// Score each calendar month on its own: [{ month: 'YYYY-MM', items, score, verdict }],
+// oldest first, at most MAX_TREND_MONTHS. `analyze(data)` runs the adapter's analyzer.
+function monthlyTrend(adapter, data, analyze) {
+  const { timeline } = adapter;
+  const months = new Map();
+  for (const item of timeline.items(data)) {
+    const time = itemTime(timeline, item);
+    if (time === null) continue;
+    const key = monthKey(time);
+    if (!months.has(key)) months.set(key, new Set());
+    months.get(key).add(item);
+  }
+
+  return Array.from(months.keys())
+    .sort()
+    .slice(-MAX_TREND_MONTHS)
+    .map(month => {
+      const inMonth = months.get(month);
+      const { score, verdict } = analyze(timeline.filter(data, item => inMonth.has(item)));
+      return { month, items: inMonth.size, score, verdict };
+    });
+}
+
+// Item-weighted average of monthly scores, halving a month's weight every
+// `halfLifeDays` of age (measured from the middle of the month)
+function recencyWeightedScore(trend, halfLifeDays, now = Date.now()) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const { month, items, score } of trend) {
+    const middle = Date.parse(`${month}-15T00:00:00Z`);
+    const ageDays = Math.max(0, (now - middle) / DAY_MS);
+    const weight = items * 0.5 ** (ageDays / halfLifeDays);
+    weighted += score * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? Math.round(weighted / totalWeight) : null;
+}
+
+// Overall monthly series: each month's source scores combined with the same
+// weighting as the final score (`calculate` is calculateWeightedScore).
+// Returns [{ month, score, verdict, sources: { [id]: score } }].
+function combineTrends(breakdown, weights, calculate) {
+  const months = new Set();
+  for (const entry of Object.values(breakdown)) {
+    (entry.trend || []).forEach(point => months.add(point.month));
+  }
+
+  return Array.from(months).sort().slice(-MAX_TREND_MONTHS).map(month => {
+    const sources = {};
+    const scores = {};
+    for (const [id, entry] of Object.entries(breakdown)) {
+      const point = !entry.excluded && (entry.trend || []).find(p => p.month === month);
+      sources[id] = point ? { found: true, score: point.score } : { found: false };
+      if (point) scores[id] = point.score;
+    }
+    const { finalScore, verdict } = calculate(sources, weights);
+    return { month, score: finalScore, verdict, sources: scores };
+  });
+}
+
+module.exports = {
+  MAX_TREND_MONTHS,
+  parseWindow,
+  applyWindow,
+  monthlyTrend,
+  recencyWeightedScore,
+  combineTrends
+};
@@ -0,0 +1,397 @@
+const { analyzeSentiment, createTally } = require('../lib/sentiment');
+const { createEvidence } = require('../lib/evidence');
+const { recordQuota, assertQuota } = require('../lib/quota');
+const { upstreamFetch } = require('../lib/http');
+
+// ==========================================
+// GITHUB API INTEGRATION
+// ==========================================
+const GITHUB_HEADERS = {
+  'User-Agent': 'NaughtyNiceChecker/1.0',
+  'Accept': 'application/vnd.github.v3+json'
+};
+
+// Open PRs untouched for this long count as abandoned; repos pushed to
+// within MAINTAINED_DAYS count as maintained
+const STALE_PR_DAYS = 90;
+const MAINTAINED_DAYS = 180;
+// Compare API calls spent confirming suspected force pushes, per lookup
+const MAX_REWRITE_CHECKS = 5;
+
+function githubGet(url, { signal, quota = 'github' } = {}) {
+  assertQuota(quota);
+  return upstreamFetch(url, { headers: GITHUB_HEADERS, signal }).then(response => {
+    recordQuota(quota, response);
+    return response;
+  });
+}
+
+// Optional extras: a failure here costs a signal, not the whole lookup
+async function githubJson(url, fallback, options) {
+  try {
+    const response = await githubGet(url, options);
+    return response.ok ? await response.json() : fallback;
+  } catch (err) {
+    if (err.name === 'QuotaError' || err.name === 'AbortError' || err.name === 'TimeoutError') throw err;
+    console.log(`⚠️ GitHub: ${url} failed: ${err.message}`);
+    return fallback;
+  }
+}
+
+async function fetchGitHubData(username, { signal } = {}) {
+  // Thrown rather than reported as "not found": the user may well exist
+  assertQuota('github');
+  try {
+    // Fetch user profile
+    const userResponse = await githubGet(`https://api.github.com/users/${username}`, { signal });
+    
+    if (!userResponse.ok) {
+      console.log(`GitHub user ${username} not found`);
+      return { user: null, events: [], repos: [], stalePullRequests: null, found: false };
+    }
+    
+    const user = await userResponse.json();
+    const staleBefore = new Date(Date.now() - STALE_PR_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    // Recent events (comment text lives in their payloads), owned repos, and
+    // how many of their open PRs have gone quiet
+    const [events, repos, staleSearch] = await Promise.all([
+      githubJson(`https://api.github.com/users/${username}/events/public?per_page=100`, [], { signal }),
+      githubJson(`https://api.github.com/users/${username}/repos?type=owner&sort=pushed&per_page=100`, [], { signal }),
+      githubJson(
+        `https://api.github.com/search/issues?q=${encodeURIComponent(`author:${username} type:pr state:open updated:<${staleBefore}`)}&per_page=5`,
+        null,
+        { signal, quota: 'githubSearch' }
+      ).catch(err => {
+        // Search has its own small quota; running out shouldn't sink the lookup
+        if (err.name !== 'QuotaError') throw err;
+        return null;
+      })
+    ]);
+    
+    const rewrittenPushes = await confirmRewrites(events, { signal });
+    
+    console.log(`✅ GitHub: Found user ${username} with ${user.public_repos} repos`);
+    return {
+      user,
+      events,
+      rewrittenPushes,
+      repos,
+      stalePullRequests: staleSearch && {
+        total: staleSearch.total_count,
+        examples: (staleSearch.items || []).map(item => ({ title: item.title, link: item.html_url, updatedAt: item.updated_at }))
+      },
+      found: true
+    };
+  } catch (err) {
+    if (err.name === 'QuotaError') throw err;
+    console.log('❌ GitHub fetch failed:', err.message);
+    return { user: null, events: [], repos: [], stalePullRequests: null, found: false };
+  }
+}
+
+// Quoted replies and code are someone else's words (or no words at all)
+function commentText(body) {
+  return (body || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('>'))
+    .join('\n')
+    .trim();
+}
+
+const COMMENT_EVENTS = ['IssueCommentEvent', 'PullRequestReviewCommentEvent', 'PullRequestReviewEvent', 'CommitCommentEvent'];
+
+// Text the user wrote in issues, PR reviews and commit comments:
+// [{ text, link, repo, type }]
+function conductComments(events) {
+  const comments = [];
+  for (const event of events) {
+    if (!COMMENT_EVENTS.includes(event.type)) continue;
+    const payload = event.payload || {};
+    const source = event.type === 'PullRequestReviewEvent' ? payload.review : payload.comment;
+    const text = commentText(source?.body);
+    if (text) {
+      comments.push({ text, link: source.html_url || '', repo: event.repo?.name || 'unknown repo', type: event.type });
+    }
+  }
+  return comments;
+}
+
+// The Events API doesn't flag force pushes. A push that doesn't start where
+// this user's previous push to the branch ended is only a suspect: on a shared
+// branch, other people's pushes and web-UI merges move it too. Returns
+// [{ event, lastHead }] for each such gap.
+function pushGaps(events) {
+  const lastHead = new Map();
+  const gaps = [];
+  // Events come newest first; walk them oldest first
+  for (const event of [...events].reverse()) {
+    if (event.type !== 'PushEvent' || !event.payload) continue;
+    const { ref, before, head } = event.payload;
+    const key = `${event.repo?.name}:${ref}`;
+    if (event.payload.forced !== true && lastHead.has(key) && before && lastHead.get(key) !== before) {
+      gaps.push({ event, lastHead: lastHead.get(key) });
+    }
+    if (head) lastHead.set(key, head);
+  }
+  return gaps;
+}
+
+// Ask the compare API about each gap: if the push started from a commit that
+// doesn't contain the previous head ("diverged" or "behind"), history was
+// rewritten. "ahead" means others just pushed on top. Returns the event IDs.
+async function confirmRewrites(events, { signal }) {
+  const rewritten = [];
+  for (const { event, lastHead } of pushGaps(events).slice(-MAX_REWRITE_CHECKS)) {
+    const comparison = await githubJson(
+      `https://api.github.com/repos/${event.repo.name}/compare/${lastHead}...${event.payload.before}`,
+      null,
+      { signal }
+    );
+    if (comparison && ['diverged', 'behind'].includes(comparison.status)) rewritten.push(event.id);
+  }
+  return rewritten;
+}
+
+// Pushes flagged `payload.forced`, or confirmed by confirmRewrites(), per repo
+function countForcePushes(events, rewrittenPushes = []) {
+  const forced = new Map();
+  for (const event of events) {
+    if (event.type !== 'PushEvent' || !event.payload) continue;
+    if (event.payload.forced === true || rewrittenPushes.includes(event.id)) {
+      forced.set(event.repo?.name || 'unknown repo', (forced.get(event.repo?.name || 'unknown repo') || 0) + 1);
+    }
+  }
+  return forced;
+}
+
+// Their own PRs that were closed without being merged
+function closedUnmerged(events, login) {
+  return events.filter(event =>
+    event.type === 'PullRequestEvent' &&
+    event.payload?.action === 'closed' &&
+    event.payload.pull_request?.merged === false &&
+    event.payload.pull_request.user?.login?.toLowerCase() === login.toLowerCase()
+  ).map(event => ({ title: event.payload.pull_request.title, link: event.payload.pull_request.html_url }));
+}
+
+function maintainedRepos(repos) {
+  const cutoff = Date.now() - MAINTAINED_DAYS * 24 * 60 * 60 * 1000;
+  return repos.filter(repo => !repo.fork && !repo.archived && Date.parse(repo.pushed_at) >= cutoff);
+}
+
+// Hands out a capped penalty across several evidence items, so their points
+// add up to what the score actually lost: each call returns -min(penalty, what's left)
+function penaltyWithin(cap) {
+  let left = cap;
+  return penalty => {
+    const taken = Math.min(penalty, left);
+    left -= taken;
+    return -taken;
+  };
+}
+
+// Default tuning; scoring profiles (config/scoring-profiles.json) override it
+const TUNING = {
+  repoPoints: 2,
+  repoCap: 20,
+  followerPoints: 1,
+  followerCap: 15,
+  bioPoints: 5,
+  blogPoints: 5,
+  pushPoints: 2,
+  pullRequestPoints: 3,   // PRs to other repos = collaboration
+  issuePoints: 1,         // helping with issues
+  commentPoints: 1.5,     // points per unit of sentiment in issue/PR comments
+  maintainedRepoPoints: 2,
+  maintainedRepoCap: 10,
+  forcePushPenalty: 2,    // per rewritten push
+  forcePushCap: 15,
+  abandonedPrPenalty: 2,  // per stale open or closed-unmerged PR
+  abandonedPrCap: 12
+};
+
+function analyzeGitHubData(data, { scorer = analyzeSentiment, tuning = TUNING } = {}) {
+  if (!data.user) {
+    return { score: 50, verdict: 'NICE', details: 'No GitHub data', evidence: [] };
+  }
+  
+  const evidence = createEvidence();
+  const tally = createTally();
+  const profileLink = data.user.html_url;
+  const eventPoints = {
+    PushEvent: tuning.pushPoints,
+    PullRequestEvent: tuning.pullRequestPoints,
+    IssuesEvent: tuning.issuePoints
+  };
+  let niceScore = 0;
+  let naughtyScore = 0;
+  
+  // Contributions are nice
+  const repoPoints = data.user.public_repos > 0 ? Math.min(data.user.public_repos * tuning.repoPoints, tuning.repoCap) : 0;
+  const followerPoints = data.user.followers > 0 ? Math.min(data.user.followers * tuning.followerPoints, tuning.followerCap) : 0;
+  niceScore += repoPoints + followerPoints;
+  evidence.add({ text: `${data.user.public_repos} public repos`, link: profileLink, signals: ['public_repos'], points: repoPoints });
+  evidence.add({ text: `${data.user.followers} followers`, link: profileLink, signals: ['followers'], points: followerPoints });
+  
+  // Bio/profile completeness is nice
+  if (data.user.bio) {
+    niceScore += tuning.bioPoints;
+    evidence.add({ text: data.user.bio, link: profileLink, signals: ['bio'], points: tuning.bioPoints });
+  }
+  if (data.user.blog) {
+    niceScore += tuning.blogPoints;
+    evidence.add({ text: data.user.blog, link: data.user.blog, signals: ['blog'], points: tuning.blogPoints });
+  }
+  
+  // Recent activity, grouped per repo so the evidence says where it happened
+  const activity = new Map();
+  data.events.forEach(event => {
+    const points = eventPoints[event.type];
+    // Closing your own PR unmerged is counted against you below, not as activity
+    if (!points || (event.type === 'PullRequestEvent' && event.payload?.action === 'closed' && event.payload.pull_request?.merged === false)) return;
+    niceScore += points;
+    const repo = event.repo?.name || 'unknown repo';
+    const entry = activity.get(repo) || { repo, counts: {}, points: 0 };
+    entry.counts[event.type] = (entry.counts[event.type] || 0) + 1;
+    entry.points += points;
+    activity.set(repo, entry);
+  });
+  activity.forEach(({ repo, counts, points }) => {
+    const summary = Object.entries(counts).map(([type, count]) => `${count}× ${type}`).join(', ');
+    evidence.add({
+      text: `${summary} on ${repo}`,
+      link: repo === 'unknown repo' ? profileLink : `https://github.com/${repo}`,
+      signals: Object.keys(counts),
+      points
+    });
+  });
+  
+  // How they talk to people in issues and reviews: either direction
+  const comments = conductComments(data.events);
+  comments.forEach(comment => {
+    const sentiment = tally.add(scorer(comment.text));
+    const points = sentiment.score * tuning.commentPoints;
+    evidence.add({
+      text: `${comment.repo}: ${comment.text}`,
+      link: comment.link,
+      signals: [comment.type, ...sentiment.matches.map(m => m.term)],
+      points
+    });
+  });
+  const commentScore = (tally.positive - tally.negative) * tuning.commentPoints;
+  if (commentScore > 0) niceScore += commentScore;
+  else naughtyScore -= commentScore;
+  
+  // Keeping projects alive is nice
+  const maintained = maintainedRepos(data.repos || []);
+  const maintainedPoints = Math.min(maintained.length * tuning.maintainedRepoPoints, tuning.maintainedRepoCap);
+  niceScore += maintainedPoints;
+  if (maintained.length > 0) {
+    evidence.add({
+      text: `${maintained.length} repos pushed to in the last ${MAINTAINED_DAYS} days (${maintained.slice(0, 3).map(repo => repo.name).join(', ')}${maintained.length > 3 ? ', ...' : ''})`,
+      link: `${profileLink}?tab=repositories`,
+      signals: ['maintained_repos'],
+      points: maintainedPoints
+    });
+  }
+  
+  // Rewriting shared history is naughty
+  const forcePushes = countForcePushes(data.events, data.rewrittenPushes);
+  const forcePushCount = Array.from(forcePushes.values()).reduce((sum, count) => sum + count, 0);
+  naughtyScore += Math.min(forcePushCount * tuning.forcePushPenalty, tuning.forcePushCap);
+  const forcePushPenalty = penaltyWithin(tuning.forcePushCap);
+  forcePushes.forEach((count, repo) => {
+    evidence.add({
+      text: `${count}× force push on ${repo}`,
+      link: repo === 'unknown repo' ? profileLink : `https://github.com/${repo}`,
+      signals: ['force_push'],
+      points: forcePushPenalty(count * tuning.forcePushPenalty)
+    });
+  });
+  
+  // So is leaving PRs for maintainers to clean up
+  const unmerged = closedUnmerged(data.events, data.user.login || '');
+  const stale = data.stalePullRequests;
+  const abandonedPrs = unmerged.length + (stale?.total || 0);
+  naughtyScore += Math.min(abandonedPrs * tuning.abandonedPrPenalty, tuning.abandonedPrCap);
+  const abandonedPrPenalty = penaltyWithin(tuning.abandonedPrCap);
+  if (stale?.total > 0) {
+    evidence.add({
+      text: `${stale.total} open PRs untouched for ${STALE_PR_DAYS}+ days${stale.examples[0] ? ` (e.g. "${stale.examples[0].title}")` : ''}`,
+      link: stale.examples[0]?.link || profileLink,
+      signals: ['stale_pull_requests'],
+      points: abandonedPrPenalty(stale.total * tuning.abandonedPrPenalty)
+    });
+  }
+  unmerged.forEach(pr => {
+    evidence.add({ text: `PR closed without merging: ${pr.title}`, link: pr.link, signals: ['closed_unmerged'], points: abandonedPrPenalty(tuning.abandonedPrPenalty) });
+  });
+  
+  const score = Math.round(Math.max(0, Math.min(100, 50 + niceScore - naughtyScore)));
+  
+  return {
+    score,
+    verdict: score >= 50 ? 'NICE' : 'NAUGHTY',
+    repos: data.user.public_repos,
+    followers: data.user.followers,
+    recentActivity: data.events.length,
+    commentsAnalyzed: comments.length,
+    niceCount: tally.niceCount,
+    naughtyCount: tally.naughtyCount,
+    maintainedRepos: maintained.length,
+    forcePushes: forcePushCount,
+    abandonedPrs,
+    drivers: tally.drivers(),
+    evidence: evidence.list()
+  };
+}
+
+const adapter = {
+  id: 'github',
+  name: 'GitHub',
+  icon: '🐙',
+  color: '#6e5494',
+  weight: 0.10,
+  cacheTtl: 60 * 60 * 1000,
+  tuning: TUNING,
+  scoring: tuning => ({
+    formula: `Score = 50 + repoPoints + followerPoints + activityPoints + maintainedPoints + commentSentiment × ${tuning.commentPoints} - forcePushes × ${tuning.forcePushPenalty} - abandonedPrs × ${tuning.abandonedPrPenalty}`,
+    description: 'Building and sharing code is nice; so is being kind in issues and reviews. Rude comments, rewriting history and abandoned PRs are not.',
+    factors: [
+      { name: 'Public Repos', key: 'repos', icon: '📁', type: 'nice', desc: `+${tuning.repoPoints} per repo (max ${tuning.repoCap})` },
+      { name: 'Followers', key: 'followers', icon: '👥', type: 'nice', desc: `+${tuning.followerPoints} per follower (max ${tuning.followerCap})` },
+      { name: 'Recent Activity', key: 'recentActivity', icon: '⚡', type: 'nice', desc: `+${tuning.pushPoints} per push, +${tuning.pullRequestPoints} per PR, +${tuning.issuePoints} per issue` },
+      { name: 'Maintained Repos', key: 'maintainedRepos', icon: '🛠️', type: 'nice', desc: `+${tuning.maintainedRepoPoints} per repo pushed to in the last ${MAINTAINED_DAYS} days (max ${tuning.maintainedRepoCap})` },
+      { name: 'Comments Analyzed', key: 'commentsAnalyzed', icon: '💬', type: 'neutral', desc: 'Issue, PR review and commit comments run through sentiment' },
+      { name: 'Force Pushes', key: 'forcePushes', icon: '💥', type: 'naughty', desc: `-${tuning.forcePushPenalty} per rewritten push (max ${tuning.forcePushCap})` },
+      { name: 'Abandoned PRs', key: 'abandonedPrs', icon: '🪦', type: 'naughty', desc: `-${tuning.abandonedPrPenalty} per PR closed unmerged or open and idle ${STALE_PR_DAYS}+ days (max ${tuning.abandonedPrCap})` }
+    ]
+  }),
+  llm: { kind: 'GitHub issue or review comment', texts: data => conductComments(data.events).map(comment => comment.text) },
+  // Events only: repos and the stale-PR search describe the account as it is now
+  timeline: {
+    items: data => data.events,
+    date: event => event.created_at,
+    filter: (data, keep) => ({ ...data, events: data.events.filter(keep) })
+  },
+  fetch: fetchGitHubData,
+  analyze: (data, options) => analyzeGitHubData(data, options),
+  profile: (data, username) => ({
+    username,
+    name: data.user.name || username,
+    profileImage: data.user.avatar_url || `https://unavatar.io/${username}`,
+    description: data.user.bio || `Multi-platform analysis for ${username}`,
+    followers: data.user.followers || '—',
+    following: data.user.following || '—',
+    tweets: '—'
+  })
+};
+
+module.exports = {
+  adapter,
+  fetchGitHubData,
+  analyzeGitHubData
+};
@@ -0,0 +1,95 @@
+// ==========================================
+// SOURCE ADAPTER REGISTRY
+// ==========================================
+// Every platform we score is a source adapter:
+//
+//   {
+//     id, name, icon, color,   // display metadata (also drives the UI tabs)
+//     weight,                  // default share of the final score (0-1)
+//     timeout,                 // optional per-source deadline in ms
+//     cacheTtl,                // optional response-cache freshness in ms
+//     scoring(tuning),         // -> { formula, description, factors } for the detail tab,
+//                              //    spelled out with the scoring profile's multipliers
+//     fetch(username, { signal, report }), // -> { found, ...rawData }; stop work when
+//                              //    signal aborts, report({ type, ... }) progress events
+//     analyze(rawData, { scorer, tuning }), // -> { score, verdict, evidence, ...details };
+//                              //    scorer(text) replaces the lexicon when given, tuning
+//                              //    comes from the scoring profile; evidence is
+//                              //    [{ text, link?, signals, points }] (see lib/evidence.js)
+//     identityKey,             // optional key in the caller's identity map (default: id)
+//     tuning,                  // default multipliers a scoring profile may override
+//     lexicon,                 // optional extra lexicon terms for this source
+//     llm,                     // optional { kind, texts(rawData) }: which
+//                              //    texts Claude classifies in mode "llm"
+//     timeline,                // optional { items(rawData), date(item), filter(rawData, keep),
+//                              //    coverage?(rawData) -> { since } | null }: dated items for
+//                              //    since/until windows and monthly trends; coverage says how
+//                              //    far back a truncated fetch reaches (see lib/timeline.js)
+//     profile(rawData, username) // optional -> user card for the results page
+//   }
+//
+// Adding a platform = new module in this folder + one registerSource() call.
+const sources = new Map();
+
+const REQUIRED_FIELDS = ['id', 'name', 'fetch', 'analyze'];
+
+function registerSource(adapter) {
+  const missing = REQUIRED_FIELDS.filter(field => !adapter[field]);
+  if (missing.length > 0) {
+    throw new Error(`Source adapter is missing: ${missing.join(', ')}`);
+  }
+  if (sources.has(adapter.id)) {
+    throw new Error(`Source adapter "${adapter.id}" is already registered`);
+  }
+  sources.set(adapter.id, { weight: 0, icon: '🔎', color: '#95a5a6', ...adapter });
+}
+
+function getSource(id) {
+  return sources.get(id) || null;
+}
+
+function listSources() {
+  return Array.from(sources.values());
+}
+
+// Which entry of an identity map ({ twitter, reddit, github, newsQuery }) a source looks up
+function identityKey(adapter) {
+  return adapter.identityKey || adapter.id;
+}
+
+function getDefaultWeights() {
+  const weights = {};
+  for (const source of sources.values()) {
+    weights[source.id] = source.weight;
+  }
+  return weights;
+}
+
+// Public, JSON-safe view of the registry for the front end. `tuning` is a
+// scoring profile's { <sourceId>: { ... } }; without it the formulas show
+// the adapters' defaults
+function describeSources(tuning = {}) {
+  return listSources().map(adapter => {
+    const { id, name, icon, color, weight, scoring } = adapter;
+    return {
+      id, name, icon, color, weight,
+      identityKey: identityKey(adapter),
+      scoring: scoring ? scoring({ ...adapter.tuning, ...tuning[id] }) : null
+    };
+  });
+}
+
+// Built-in sources (registration order = display order)
+registerSource(require('./twitter').adapter);
+registerSource(require('./reddit').adapter);
+registerSource(require('./news').adapter);
+registerSource(require('./github').adapter);
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  identityKey,
+  getDefaultWeights,
+  describeSources
+};
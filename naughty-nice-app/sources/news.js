@@ -0,0 +1,274 @@
+const { analyzeSentiment, createTally } = require('../lib/sentiment');
+const { NEWS_LEXICON } = require('../lib/lexicon');
+const { createEvidence } = require('../lib/evidence');
+const { upstreamFetch } = require('../lib/http');
+
+// ==========================================
+// NEWS SEARCH INTEGRATION
+// ==========================================
+// Two backends return the same structured articles
+// ({ title, url, publisher, date, snippet }):
+//   html - DuckDuckGo's HTML results page (no API key, no dates)
+//   rss  - a news RSS/Atom search feed (Google News by default; NEWS_RSS_URL
+//          is a template with {query}), which carries publishers and dates
+// NEWS_BACKEND picks the first to try; the other is the fallback.
+const NEWS_BACKEND = process.env.NEWS_BACKEND === 'rss' ? 'rss' : 'html';
+const NEWS_RSS_URL = process.env.NEWS_RSS_URL || 'https://news.google.com/rss/search?q={query}&hl=en-US&gl=US&ceid=US:en';
+const MAX_ARTICLES = 30;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function publisherOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return '';
+  }
+}
+
+function isoDate(text) {
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// DuckDuckGo wraps result links as //duckduckgo.com/l/?uddg=<encoded url>
+function resultLink(attributes) {
+  const href = (attributes.match(/href="([^"]*)"/) || [])[1];
+  if (!href) return '';
+  const target = href.replace(/&amp;/g, '&').match(/[?&]uddg=([^&]+)/);
+  return target ? decodeURIComponent(target[1]) : href;
+}
+
+// One article per DuckDuckGo result block (title link + snippet)
+function parseDuckDuckGoResults(html) {
+  const articles = [];
+  const blocks = html.split(/<div class="result results_links/).slice(1);
+  for (const block of blocks) {
+    const title = block.match(/<a[^>]*class="result__a"([^>]*)>([\s\S]*?)<\/a>/);
+    if (!title) continue;
+    const snippet = block.match(/<a[^>]*class="result__snippet"[^>]*>([\s\S]*?)<\/a>/);
+    const url = resultLink(title[1]);
+    // News results sometimes carry a timestamp next to the URL
+    const date = block.match(/<span class="result__timestamp">([\s\S]*?)<\/span>/);
+    articles.push({
+      title: decodeEntities(title[2]),
+      url,
+      publisher: publisherOf(url),
+      date: date ? isoDate(decodeEntities(date[1])) : null,
+      snippet: snippet ? decodeEntities(snippet[1]) : ''
+    });
+  }
+  return articles;
+}
+
+// RSS 2.0 <item>s or Atom <entry>s
+function parseNewsFeed(xml) {
+  const tag = (item, name) => {
+    const match = item.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${name}>`));
+    return match ? decodeEntities(match[1]) : '';
+  };
+  const articles = [];
+  const items = xml.match(/<item[\s>][\s\S]*?<\/item>|<entry[\s>][\s\S]*?<\/entry>/g) || [];
+  for (const item of items) {
+    const atomLink = item.match(/<link[^>]*href="([^"]*)"/);
+    const url = tag(item, 'link') || (atomLink ? atomLink[1].replace(/&amp;/g, '&') : '');
+    let title = tag(item, 'title');
+    // Google News titles end in " - Publisher", which <source> also names
+    const source = tag(item, 'source') || tag(item, 'name');
+    if (source && title.endsWith(` - ${source}`)) title = title.slice(0, -(source.length + 3));
+    articles.push({
+      title,
+      url,
+      publisher: source || publisherOf(url),
+      date: isoDate(tag(item, 'pubDate') || tag(item, 'published') || tag(item, 'updated')),
+      snippet: tag(item, 'description') || tag(item, 'summary')
+    });
+  }
+  return articles;
+}
+
+const BACKENDS = {
+  html: async (query, { signal }) => {
+    const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(`${query} news`)}`;
+    const response = await upstreamFetch(url, { headers: { 'User-Agent': USER_AGENT }, signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseDuckDuckGoResults(await response.text());
+  },
+  rss: async (query, { signal }) => {
+    const url = NEWS_RSS_URL.replace('{query}', encodeURIComponent(query));
+    const response = await upstreamFetch(url, { headers: { 'User-Agent': USER_AGENT }, signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseNewsFeed(await response.text());
+  }
+};
+
+// Ways an article can name the subject: "Ada Lovelace" as a phrase, a
+// handle like "drew_mailen" as "drew mailen" too. Whole words only, so
+// "dan" doesn't match "Danish".
+function subjectPatterns(query) {
+  const variants = new Set([query.trim()]);
+  const spaced = query.replace(/[_.-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+  if (spaced) variants.add(spaced);
+  return Array.from(variants).map(variant => {
+    const words = variant.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(^|[^\\p{L}\\p{N}])@?${words.join('[\\s_.-]+')}($|[^\\p{L}\\p{N}])`, 'iu');
+  });
+}
+
+function mentionsSubject(article, patterns) {
+  const text = `${article.title} ${article.snippet}`;
+  return patterns.some(pattern => pattern.test(text));
+}
+
+// A single short word ("dan", "ye") is a common word or first name: results
+// are likely about somebody else even when they mention it
+function isAmbiguous(query) {
+  return !/\s/.test(query.trim()) && query.replace(/[_.-]/g, '').length <= 4;
+}
+
+// `query` is the display name when identity linking found one (see lib/identity.js),
+// else the handle. Resolves { articles, query, backend, filteredOut, ambiguous, found }.
+async function fetchNewsData(query, { signal, report = () => {} } = {}) {
+  const order = NEWS_BACKEND === 'rss' ? ['rss', 'html'] : ['html', 'rss'];
+  const patterns = subjectPatterns(query);
+
+  for (const [i, backend] of order.entries()) {
+    if (signal?.aborted) break;
+    if (i > 0) report({ type: 'fallback', from: order[i - 1], to: backend });
+    try {
+      const results = await BACKENDS[backend](`"${query}"`, { signal });
+      const articles = results.filter(article => article.title && mentionsSubject(article, patterns)).slice(0, MAX_ARTICLES);
+      const filteredOut = results.length - articles.length;
+      console.log(`✅ News (${backend}): ${articles.length} articles about "${query}" (${filteredOut} didn't mention them)`);
+      if (articles.length > 0) {
+        return { articles, query, backend, filteredOut, ambiguous: isAmbiguous(query), found: true };
+      }
+    } catch (err) {
+      console.log(`❌ News fetch (${backend}) failed:`, err.message);
+    }
+  }
+  return { articles: [], query, backend: null, filteredOut: 0, ambiguous: isAmbiguous(query), found: false };
+}
+
+// Default tuning; scoring profiles (config/scoring-profiles.json) override it
+const TUNING = {
+  points: 1.6,              // points per unit of lexicon sentiment
+  recencyHalfLifeDays: 30,  // an article this old counts half; 0 = no recency weighting
+  undatedWeight: 0.5        // weight of articles without a date
+};
+
+// General lexicon plus news vocabulary (scandal, arrested, awarded, charity...)
+const scoreSnippet = text => analyzeSentiment(text, { lexicon: NEWS_LEXICON });
+
+const articleText = article => [article.title, article.snippet].filter(Boolean).join('. ');
+
+// Entries cached before articles existed were bare { text, link } snippets
+function newsArticles(data) {
+  return data.articles || (data.snippets || []).map(snippet => ({ title: snippet.text, url: snippet.link, publisher: publisherOf(snippet.link), date: null, snippet: '' }));
+}
+
+function recencyWeight(article, tuning, now) {
+  if (!tuning.recencyHalfLifeDays) return 1;
+  if (!article.date) return tuning.undatedWeight;
+  const ageDays = Math.max(0, (now - Date.parse(article.date)) / (24 * 60 * 60 * 1000));
+  return 0.5 ** (ageDays / tuning.recencyHalfLifeDays);
+}
+
+function analyzeNewsArticles(articles, { scorer = scoreSnippet, tuning = TUNING, now = Date.now() } = {}) {
+  const tally = createTally();
+  const evidence = createEvidence();
+  const publishers = new Set();
+  let weightedSentiment = 0;
+  
+  articles.forEach(article => {
+    const sentiment = tally.add(scorer(articleText(article)));
+    const weight = recencyWeight(article, tuning, now);
+    weightedSentiment += sentiment.score * weight;
+    if (article.publisher) publishers.add(article.publisher);
+    
+    const signals = sentiment.matches.map(m => m.term);
+    if (weight < 1) signals.push(`${Math.round(weight * 100)}% recency weight`);
+    evidence.add({
+      text: `${article.publisher ? `${article.publisher}: ` : ''}${article.title}${article.date ? ` (${article.date.slice(0, 10)})` : ''}`,
+      link: article.url,
+      signals,
+      points: sentiment.score * weight * tuning.points
+    });
+  });
+  
+  const score = Math.round(Math.max(0, Math.min(100, 50 + weightedSentiment * tuning.points)));
+  const dated = articles.filter(article => article.date).map(article => article.date).sort();
+  
+  return {
+    score,
+    verdict: score >= 50 ? 'NICE' : 'NAUGHTY',
+    niceCount: tally.niceCount,
+    naughtyCount: tally.naughtyCount,
+    drivers: tally.drivers(),
+    evidence: evidence.list(),
+    articlesAnalyzed: articles.length,
+    publishers: publishers.size,
+    newestArticle: dated.length > 0 ? dated[dated.length - 1] : null
+  };
+}
+
+const adapter = {
+  id: 'news',
+  name: 'News',
+  icon: '📰',
+  color: '#607d8b',
+  weight: 0.30,
+  cacheTtl: 60 * 60 * 1000,
+  identityKey: 'newsQuery',
+  tuning: TUNING,
+  lexicon: NEWS_LEXICON,
+  scoring: tuning => ({
+    formula: tuning.recencyHalfLifeDays
+      ? `Score = 50 + Σ(articleSentiment × recencyWeight) × ${tuning.points}`
+      : `Score = 50 + Σ(articleSentiment) × ${tuning.points}`,
+    description: 'Lexicon sentiment over news articles that actually mention the subject, weighting scandal/controversy against awards/charity coverage.' +
+      (tuning.recencyHalfLifeDays ? ` Recent coverage counts more (half-life ${tuning.recencyHalfLifeDays} days).` : ''),
+    factors: [
+      { name: 'Nice Mentions', key: 'niceCount', icon: '🏆', type: 'nice', desc: 'awarded, honored, charity, hero, praised' },
+      { name: 'Naughty Mentions', key: 'naughtyCount', icon: '📛', type: 'naughty', desc: 'scandal, controversy, arrested, lawsuit, fraud' },
+      { name: 'Articles Analyzed', key: 'articlesAnalyzed', icon: '📄', type: 'neutral', desc: 'News articles mentioning them' },
+      { name: 'Publishers', key: 'publishers', icon: '🗞️', type: 'neutral', desc: 'Different outlets covering them' }
+    ]
+  }),
+  llm: { kind: 'news headline', texts: data => newsArticles(data).map(articleText) },
+  timeline: {
+    items: newsArticles,
+    date: article => article.date,
+    filter: (data, keep) => ({ ...data, articles: newsArticles(data).filter(keep) })
+  },
+  fetch: async (query, options) => {
+    const data = await fetchNewsData(query, options);
+    return { ...data, found: data.found && data.articles.length > 0 };
+  },
+  analyze: (data, options) => ({
+    ...analyzeNewsArticles(newsArticles(data), options),
+    query: data.query,
+    ambiguousQuery: Boolean(data.ambiguous)
+  })
+};
+
+module.exports = {
+  adapter,
+  fetchNewsData,
+  parseDuckDuckGoResults,
+  parseNewsFeed,
+  analyzeNewsArticles
+};
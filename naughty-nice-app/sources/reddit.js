@@ -0,0 +1,336 @@
+const { analyzeSentiment, createTally } = require('../lib/sentiment');
+const { createEvidence } = require('../lib/evidence');
+const { recordQuota, assertQuota } = require('../lib/quota');
+const { upstreamFetch } = require('../lib/http');
+
+// ==========================================
+// REDDIT API INTEGRATION
+// ==========================================
+let redditAccessToken = null;
+let redditTokenExpiry = 0;
+
+async function getRedditToken() {
+  if (redditAccessToken && Date.now() < redditTokenExpiry) {
+    return redditAccessToken;
+  }
+  
+  const clientId = process.env.REDDIT_CLIENT_ID;
+  const clientSecret = process.env.REDDIT_CLIENT_SECRET;
+  
+  if (!clientId || !clientSecret) {
+    console.log('⚠️ Reddit credentials not configured');
+    return null;
+  }
+  
+  try {
+    const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    const response = await upstreamFetch('https://www.reddit.com/api/v1/access_token', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'NaughtyNiceChecker/1.0'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    
+    const data = await response.json();
+    if (data.access_token) {
+      redditAccessToken = data.access_token;
+      redditTokenExpiry = Date.now() + (data.expires_in * 1000) - 60000;
+      console.log('✅ Reddit access token obtained');
+      return redditAccessToken;
+    }
+  } catch (err) {
+    console.log('❌ Reddit auth failed:', err.message);
+  }
+  return null;
+}
+
+// For /api/health: never returns the token itself
+function getRedditTokenStatus() {
+  const valid = Boolean(redditAccessToken) && Date.now() < redditTokenExpiry;
+  return {
+    configured: Boolean(process.env.REDDIT_CLIENT_ID && process.env.REDDIT_CLIENT_SECRET),
+    valid,
+    // Refreshed a minute before Reddit's real expiry
+    expiresAt: valid ? new Date(redditTokenExpiry).toISOString() : null
+  };
+}
+
+// How far back to read. Pages of 100 are fetched via `after` until either
+// limit is reached or the user runs out of history.
+const REDDIT_MAX_ITEMS = Number(process.env.REDDIT_MAX_ITEMS) || 300;
+const REDDIT_MAX_AGE_DAYS = Number(process.env.REDDIT_MAX_AGE_DAYS) || 90;
+const PAGE_SIZE = 100;
+
+const DELETED_MARKERS = { '[deleted]': 'deleted', '[removed]': 'removed' };
+
+// One comment or submission in the shape the analyzer reads:
+// { kind, text, score, subreddit, link, createdAt, edited, status: 'ok' | 'deleted' | 'removed' }
+function normalizeItem({ kind, data }) {
+  const isPost = kind === 't3';
+  const body = isPost ? data.selftext || '' : data.body || '';
+  let status = DELETED_MARKERS[body.trim()] || 'ok';
+  // Moderator/admin removals of posts keep the title but say who removed them
+  if (isPost && data.removed_by_category) {
+    status = data.removed_by_category === 'deleted' ? 'deleted' : 'removed';
+  }
+  const text = isPost
+    ? [data.title, status === 'ok' ? body : ''].filter(Boolean).join('\n')
+    : status === 'ok' ? body : '';
+
+  return {
+    kind: isPost ? 'post' : 'comment',
+    text,
+    score: data.score,
+    subreddit: data.subreddit,
+    link: data.permalink ? `https://www.reddit.com${data.permalink}` : '',
+    createdAt: data.created_utc ? new Date(data.created_utc * 1000).toISOString() : null,
+    // `edited` is false or the edit's timestamp
+    edited: Boolean(data.edited),
+    status
+  };
+}
+
+// Page through /user/{name}/{listing}.json. Resolves { items, truncated } or
+// null when the user doesn't exist or is private/suspended.
+async function fetchRedditListing(username, listing, { headers, signal, since }) {
+  const items = [];
+  let after = null;
+  let truncated = false;
+
+  do {
+    assertQuota('reddit');
+    const url = `https://www.reddit.com/user/${username}/${listing}.json?limit=${PAGE_SIZE}&raw_json=1${after ? `&after=${after}` : ''}`;
+    const response = await upstreamFetch(url, { headers, signal });
+    recordQuota('reddit', response);
+
+    if (!response.ok) {
+      if (items.length === 0) return null;
+      // Keep what we have rather than throw it away over a later page
+      truncated = true;
+      break;
+    }
+
+    const data = await response.json();
+    const page = (data.data?.children || []).map(normalizeItem);
+    for (const item of page) {
+      if (items.length >= REDDIT_MAX_ITEMS || (item.createdAt && Date.parse(item.createdAt) < since)) {
+        truncated = true;
+        break;
+      }
+      items.push(item);
+    }
+    after = truncated ? null : data.data?.after;
+  } while (after);
+
+  return { items, truncated };
+}
+
+async function fetchRedditData(username, { signal } = {}) {
+  // Thrown rather than reported as "not found": the user may well exist
+  assertQuota('reddit');
+  try {
+    const token = await getRedditToken();
+    const headers = {
+      'User-Agent': 'NaughtyNiceChecker/1.0'
+    };
+    
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    // Comments and submissions, newest first, back to the time window
+    const since = Date.now() - REDDIT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const [comments, posts] = await Promise.all([
+      fetchRedditListing(username, 'comments', { headers, signal, since }),
+      fetchRedditListing(username, 'submitted', { headers, signal, since })
+    ]);
+    
+    if (!comments && !posts) {
+      console.log(`Reddit user ${username} not found or private`);
+      return { comments: [], posts: [], found: false };
+    }
+    
+    console.log(`✅ Reddit: Found ${comments?.items.length || 0} comments and ${posts?.items.length || 0} posts for u/${username}`);
+    return {
+      comments: comments?.items || [],
+      posts: posts?.items || [],
+      window: {
+        maxItems: REDDIT_MAX_ITEMS,
+        since: new Date(since).toISOString(),
+        truncated: Boolean(comments?.truncated || posts?.truncated)
+      },
+      found: true
+    };
+  } catch (err) {
+    // Quota backoff mid-pagination should surface as an error, like it does up front
+    if (err.name === 'QuotaError') throw err;
+    console.log('❌ Reddit fetch failed:', err.message);
+    return { comments: [], posts: [], found: false };
+  }
+}
+
+// Default tuning; scoring profiles (config/scoring-profiles.json) override it
+const TUNING = {
+  points: 1.2,          // points per unit of lexicon sentiment
+  karmaMultiplier: 3,   // score points per karma point
+  downvotePenalty: 2,   // karma points lost per item below 0
+  upvoteBonus: 1,       // karma points gained per item above upvoteThreshold
+  upvoteThreshold: 10,
+  removedPenalty: 1,    // karma points lost per item removed by moderators
+  deletedPenalty: 0     // karma points lost per item the user deleted
+};
+
+// Subreddits listed in the per-community breakdown
+const MAX_SUBREDDITS = 10;
+
+// `items` are comments and/or posts from fetchRedditData. Deleted and
+// removed items have no text left to score, so they count through their own
+// penalties; edits are flagged in the evidence.
+function analyzeRedditComments(items, { scorer = analyzeSentiment, tuning = TUNING } = {}) {
+  const tally = createTally();
+  const evidence = createEvidence();
+  const subreddits = new Map();
+  const counts = { comments: 0, posts: 0, deleted: 0, removed: 0, edited: 0 };
+  let karmaPoints = 0;
+  
+  items.forEach(item => {
+    const isPost = item.kind === 'post';
+    // Items cached before statuses existed are plain comments
+    const status = item.status || 'ok';
+    counts[isPost ? 'posts' : 'comments']++;
+    const signals = [];
+    let sentimentPoints = 0;
+    let itemKarma = 0;
+    
+    if (status === 'ok') {
+      const sentiment = tally.add(scorer(item.text));
+      sentimentPoints = sentiment.score * tuning.points;
+      signals.push(...sentiment.matches.map(m => m.term));
+    } else {
+      counts[status]++;
+      signals.push(status === 'removed' ? 'removed by moderators' : 'deleted by user');
+      itemKarma -= status === 'removed' ? tuning.removedPenalty : tuning.deletedPenalty;
+    }
+    if (item.edited) {
+      counts.edited++;
+      signals.push('edited');
+    }
+    
+    // Negative karma is naughty
+    if (item.score < 0) itemKarma -= tuning.downvotePenalty;
+    // High karma is nice
+    if (item.score > tuning.upvoteThreshold) itemKarma += tuning.upvoteBonus;
+    if (item.score < 0 || item.score > tuning.upvoteThreshold) signals.push(`karma ${item.score}`);
+    karmaPoints += itemKarma;
+    
+    const points = sentimentPoints + itemKarma * tuning.karmaMultiplier;
+    const label = `${item.subreddit ? `r/${item.subreddit}: ` : ''}${isPost ? '[post] ' : ''}`;
+    evidence.add({
+      text: label + (item.text || `[${status}]`),
+      link: item.link,
+      signals,
+      points
+    });
+    
+    const key = item.subreddit || '(unknown)';
+    const community = subreddits.get(key) || { subreddit: key, comments: 0, posts: 0, removed: 0, deleted: 0, points: 0 };
+    community[isPost ? 'posts' : 'comments']++;
+    if (status !== 'ok') community[status]++;
+    community.points += points;
+    subreddits.set(key, community);
+  });
+  
+  const points = (tally.positive - tally.negative) * tuning.points + karmaPoints * tuning.karmaMultiplier;
+  const score = Math.round(Math.max(0, Math.min(100, 50 + points)));
+  
+  return {
+    score,
+    verdict: score >= 50 ? 'NICE' : 'NAUGHTY',
+    niceCount: tally.niceCount,
+    naughtyCount: tally.naughtyCount,
+    karmaPoints,
+    drivers: tally.drivers(),
+    evidence: evidence.list(),
+    // Communities that moved the score most, naughtiest first
+    subreddits: Array.from(subreddits.values())
+      .map(community => ({ ...community, points: Math.round(community.points * 10) / 10 }))
+      .filter(community => community.points !== 0)
+      .sort((a, b) => a.points - b.points)
+      .slice(0, MAX_SUBREDDITS),
+    commentsAnalyzed: counts.comments,
+    postsAnalyzed: counts.posts,
+    deletedCount: counts.deleted,
+    removedCount: counts.removed,
+    editedCount: counts.edited
+  };
+}
+
+// "-2 per downvoted item, -1 per removal, +1 per item over 10 karma"
+function karmaRules(tuning) {
+  return [
+    tuning.downvotePenalty && `-${tuning.downvotePenalty} per downvoted item`,
+    tuning.removedPenalty && `-${tuning.removedPenalty} per removal`,
+    tuning.deletedPenalty && `-${tuning.deletedPenalty} per deletion`,
+    tuning.upvoteBonus && `+${tuning.upvoteBonus} per item over ${tuning.upvoteThreshold} karma`
+  ].filter(Boolean).join(', ') || 'Not scored in this profile';
+}
+
+// Everything the analyzer scores: comments, then submissions
+const redditItems = data => [...data.comments, ...(data.posts || [])];
+
+const adapter = {
+  id: 'reddit',
+  name: 'Reddit',
+  icon: '🔴',
+  color: '#ff4500',
+  weight: 0.30,
+  cacheTtl: 30 * 60 * 1000,
+  tuning: TUNING,
+  scoring: tuning => ({
+    formula: `Score = 50 + (nicePoints - naughtyPoints) × ${tuning.points} + karmaPoints × ${tuning.karmaMultiplier}`,
+    description: 'Lexicon sentiment over Reddit comments and posts plus karma scoring (negative karma and moderator removals = naughty, high karma = nice).',
+    factors: [
+      { name: 'Nice Words', key: 'niceCount', icon: '😇', type: 'nice', desc: 'Positive sentiment in comments' },
+      { name: 'Naughty Words', key: 'naughtyCount', icon: '😈', type: 'naughty', desc: 'Negative sentiment in comments' },
+      { name: 'Karma Points', key: 'karmaPoints', icon: '⬆️', type: 'neutral', desc: karmaRules(tuning) },
+      { name: 'Removed', key: 'removedCount', icon: '🛑', type: 'naughty', desc: 'Comments and posts removed by moderators' },
+      { name: 'Deleted', key: 'deletedCount', icon: '🗑️', type: 'neutral', desc: 'Comments and posts the user deleted' },
+      { name: 'Edited', key: 'editedCount', icon: '✏️', type: 'neutral', desc: 'Edited after posting (flagged in the evidence)' },
+      { name: 'Comments Analyzed', key: 'commentsAnalyzed', icon: '💬', type: 'neutral', desc: 'Comments checked in the time window' },
+      { name: 'Posts Analyzed', key: 'postsAnalyzed', icon: '📝', type: 'neutral', desc: 'Submissions checked in the time window' }
+    ]
+  }),
+  llm: {
+    kind: 'Reddit comment or post',
+    texts: data => redditItems(data).filter(item => (item.status || 'ok') === 'ok').map(item => item.text)
+  },
+  timeline: {
+    items: redditItems,
+    date: item => item.createdAt,
+    filter: (data, keep) => ({ ...data, comments: data.comments.filter(keep), posts: (data.posts || []).filter(keep) }),
+    // Paging stops at REDDIT_MAX_AGE_DAYS or REDDIT_MAX_ITEMS; when it did,
+    // nothing older than the cutoff (or the oldest item kept) was read
+    coverage: data => {
+      if (!data.window || !data.window.truncated) return null;
+      const times = redditItems(data).map(item => Date.parse(item.createdAt)).filter(time => !Number.isNaN(time));
+      const since = Math.max(Date.parse(data.window.since), times.length > 0 ? Math.min(...times) : -Infinity);
+      return { since: new Date(since).toISOString() };
+    }
+  },
+  fetch: async (username, options) => {
+    const data = await fetchRedditData(username, options);
+    return { ...data, found: data.found && redditItems(data).length > 0 };
+  },
+  analyze: (data, options) => analyzeRedditComments(redditItems(data), options)
+};
+
+module.exports = {
+  adapter,
+  getRedditToken,
+  getRedditTokenStatus,
+  fetchRedditData,
+  analyzeRedditComments
+};
@@ -0,0 +1,321 @@
+const path = require('path');
+const { TwitterApi } = require('twitter-api-v2');
+const { fetchUrl } = require('../lib/http');
+const { recorder } = require('../lib/recorder');
+const { analyzeSentiment, createTally } = require('../lib/sentiment');
+const { createEvidence } = require('../lib/evidence');
+const { loadNitterConfig, createNitterPool } = require('../lib/nitter-pool');
+
+// Nitter instances (free Twitter frontends with RSS feeds), managed as a
+// health-scored pool; see lib/nitter-pool.js and config/nitter.json
+const NITTER_CONFIG_FILE = process.env.NITTER_CONFIG_FILE || path.join(__dirname, '..', 'config', 'nitter.json');
+const nitterPool = createNitterPool(loadNitterConfig(NITTER_CONFIG_FILE));
+const NITTER_INSTANCES = nitterPool.hosts();
+
+// Parse Nitter RSS feed to extract tweets
+function parseNitterRSS(xml, username) {
+  const tweets = [];
+  const itemRegex = /<item>([\s\S]*?)<\/item>/g;
+  let match;
+  
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const item = match[1];
+    const titleMatch = item.match(/<title><!\[CDATA\[([\s\S]*?)\]\]><\/title>/);
+    const descMatch = item.match(/<description><!\[CDATA\[([\s\S]*?)\]\]><\/description>/);
+    const linkMatch = item.match(/<link>([\s\S]*?)<\/link>/);
+    const dateMatch = item.match(/<pubDate>([\s\S]*?)<\/pubDate>/);
+    
+    if (titleMatch || descMatch) {
+      // Clean HTML from description
+      let text = (descMatch ? descMatch[1] : titleMatch[1])
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+      
+      if (text.length > 0) {
+        tweets.push({
+          text,
+          link: linkMatch ? linkMatch[1] : '',
+          date: dateMatch ? dateMatch[1] : '',
+          // Nitter titles replies as "R to @someone: ..."
+          isReply: titleMatch ? /^R to @/.test(titleMatch[1]) : false
+        });
+      }
+    }
+  }
+  
+  return tweets;
+}
+
+// One RSS request against one instance, with the outcome fed back to the pool.
+// Resolves { tweets, instance } (tweets may be empty); rejects if the request failed.
+async function tryNitterInstance(instance, username, { raceSignal, report }) {
+  // A recovering host takes one trial request at a time
+  if (!nitterPool.claim(instance)) {
+    throw new Error(`${instance}: trial request already in flight`);
+  }
+  try {
+    return await requestNitterInstance(instance, username, { raceSignal, report });
+  } finally {
+    nitterPool.release(instance);
+  }
+}
+
+async function requestNitterInstance(instance, username, { raceSignal, report }) {
+  const url = `https://${instance}/${username}/rss`;
+  console.log(`Trying Nitter instance: ${url}`);
+  report({ type: 'attempt', via: 'nitter', instance, status: 'trying' });
+  const startedAt = Date.now();
+
+  let xml;
+  try {
+    xml = await fetchUrl(url, { signal: raceSignal });
+  } catch (err) {
+    // Cancelled because another instance won the race, or the caller gave up: not the host's fault
+    if (!raceSignal.aborted) {
+      console.log(`❌ ${instance} failed: ${err.message}`);
+      nitterPool.recordFailure(instance, err.message, Date.now() - startedAt);
+      report({ type: 'attempt', via: 'nitter', instance, status: 'failed', error: err.message });
+    }
+    throw err;
+  }
+
+  const tweets = xml && xml.includes('<item>') ? parseNitterRSS(xml, username) : [];
+  if (tweets.length > 0) {
+    console.log(`✅ Got ${tweets.length} tweets from ${instance}`);
+    nitterPool.recordSuccess(instance, Date.now() - startedAt);
+    report({ type: 'attempt', via: 'nitter', instance, status: 'ok' });
+  } else {
+    nitterPool.recordEmpty(instance, Date.now() - startedAt);
+    report({ type: 'attempt', via: 'nitter', instance, status: 'empty' });
+  }
+  return { tweets, instance };
+}
+
+// Fetch tweets from Nitter (free, no API key needed!)
+// Healthiest instances first, `race` of them at a time: the first to return
+// tweets wins and the others are cancelled.
+// `report` receives attempt events per instance tried (used for live progress).
+async function fetchNitterTweets(username, { signal, report = () => {} } = {}) {
+  const instances = nitterPool.order();
+
+  for (let i = 0; i < instances.length && !signal?.aborted; i += nitterPool.race) {
+    const race = new AbortController();
+    const raceSignal = signal ? AbortSignal.any([signal, race.signal]) : race.signal;
+    try {
+      return await Promise.any(
+        instances.slice(i, i + nitterPool.race).map(async instance => {
+          const result = await tryNitterInstance(instance, username, { raceSignal, report });
+          if (result.tweets.length === 0) throw new Error(`${instance}: no tweets`);
+          return result;
+        })
+      );
+    } catch (err) {
+      // Every instance in this round failed or came back empty: next round
+    } finally {
+      race.abort();
+    }
+  }
+  return { tweets: [], instance: null };
+}
+
+// Twitter API client (as backup)
+let twitterClient = null;
+
+async function initTwitterClient() {
+  if (twitterClient) return twitterClient;
+  // twitter-api-v2 makes its own requests, which can't be replayed
+  if (recorder.mode === 'replay') return null;
+  
+  try {
+    const appOnlyClient = new TwitterApi({
+      appKey: process.env.API_KEY,
+      appSecret: process.env.API_SECRET_KEY,
+    });
+    twitterClient = await appOnlyClient.appLogin();
+    console.log('✅ Twitter API Bearer Token obtained');
+    return twitterClient;
+  } catch (err) {
+    console.log('ℹ️  Twitter API not available, using Nitter');
+    return null;
+  }
+}
+
+// Search recent tweets via the Twitter API (requires API_KEY / API_SECRET_KEY)
+async function searchTwitterApi(username) {
+  const client = await initTwitterClient();
+  if (!client) return { tweets: [], user: null };
+
+  const searchResult = await client.v2.search(`from:${username}`, {
+    max_results: 100,
+    'tweet.fields': ['created_at', 'public_metrics', 'text', 'author_id'],
+    'expansions': ['author_id'],
+    'user.fields': ['profile_image_url', 'description', 'public_metrics', 'name', 'username']
+  });
+
+  const tweets = searchResult.data?.data || [];
+  if (tweets.length === 0) return { tweets: [], user: null };
+
+  const authorInfo = searchResult.includes?.users?.[0];
+  return {
+    tweets,
+    user: {
+      username: authorInfo?.username || username,
+      name: authorInfo?.name || username,
+      profileImage: authorInfo?.profile_image_url?.replace('_normal', '_400x400') || `https://unavatar.io/twitter/${username}`,
+      description: authorInfo?.description || '',
+      followers: authorInfo?.public_metrics?.followers_count || 0,
+      following: authorInfo?.public_metrics?.following_count || 0,
+      tweets: authorInfo?.public_metrics?.tweet_count || tweets.length
+    }
+  };
+}
+
+// Default tuning; scoring profiles (config/scoring-profiles.json) override it
+const TUNING = {
+  points: 2 // points per unit of lexicon sentiment
+};
+
+// Analyze tweets for naughty/nice score. `scorer` defaults to the lexicon;
+// mode "llm" passes a Claude-backed scorer with the same output shape.
+function analyzeTweets(tweets, { scorer = analyzeSentiment, tuning = TUNING } = {}) {
+  const tally = createTally();
+  const evidence = createEvidence();
+  const naughtyExamples = [];
+  const niceExamples = [];
+  
+  tweets.forEach(tweet => {
+    const sentiment = tally.add(scorer(tweet.text));
+    evidence.add({
+      text: tweet.text,
+      link: tweet.link,
+      signals: sentiment.matches.map(m => m.term),
+      points: sentiment.score * tuning.points
+    });
+    
+    if (sentiment.score < 0 && naughtyExamples.length < 3) {
+      naughtyExamples.push({
+        text: tweet.text,
+        keywords: sentiment.matches.filter(m => m.weight < 0).map(m => m.term),
+        ...(sentiment.rationale && { rationale: sentiment.rationale })
+      });
+    } else if (sentiment.score > 0 && niceExamples.length < 3) {
+      niceExamples.push({
+        text: tweet.text,
+        keywords: sentiment.matches.filter(m => m.weight > 0).map(m => m.term),
+        ...(sentiment.rationale && { rationale: sentiment.rationale })
+      });
+    }
+  });
+  
+  const { niceCount, naughtyCount } = tally;
+  const total = tally.positive + tally.negative || 1;
+  const nicePercentage = Math.round((tally.positive / total) * 100);
+  const naughtyPercentage = Math.round((tally.negative / total) * 100);
+  
+  // Calculate final score (0-100, where 100 is perfectly nice)
+  const score = Math.round(Math.max(0, Math.min(100, 50 + (tally.positive - tally.negative) * tuning.points)));
+  
+  return {
+    score,
+    verdict: score >= 50 ? 'NICE' : 'NAUGHTY',
+    niceCount,
+    naughtyCount,
+    nicePercentage,
+    naughtyPercentage,
+    naughtyExamples,
+    niceExamples,
+    drivers: tally.drivers(),
+    evidence: evidence.list(),
+    totalTweetsAnalyzed: tweets.length
+  };
+}
+
+// ==========================================
+// SOURCE ADAPTER
+// ==========================================
+// Nitter first (free), then the Twitter API. Curated fallbacks for well-known
+// accounts live in fixtures/cache-seed.json and are served by the response cache.
+async function fetchTwitterData(username, { signal, report = () => {} } = {}) {
+  console.log('   📡 Trying Nitter...');
+  const nitterResult = await fetchNitterTweets(username, { signal, report });
+
+  if (nitterResult.tweets.length > 0) {
+    console.log(`   ✅ Got ${nitterResult.tweets.length} tweets from Nitter (${nitterResult.instance})`);
+    return {
+      found: true,
+      tweets: nitterResult.tweets,
+      via: `nitter (${nitterResult.instance})`,
+      user: {
+        username,
+        name: username,
+        profileImage: `https://unavatar.io/twitter/${username}`,
+        description: `@${username} on Twitter/X`,
+        followers: '—',
+        following: '—',
+        tweets: nitterResult.tweets.length
+      }
+    };
+  }
+
+  if (signal?.aborted) {
+    return { found: false, tweets: [], user: null };
+  }
+
+  console.log('   📡 Nitter failed, trying Twitter API...');
+  report({ type: 'fallback', from: 'nitter', to: 'twitter-api' });
+  try {
+    const apiResult = await searchTwitterApi(username);
+    if (apiResult.tweets.length > 0) {
+      console.log(`   ✅ Got ${apiResult.tweets.length} tweets from Twitter API`);
+      return { found: true, tweets: apiResult.tweets, user: apiResult.user, via: 'twitter-api' };
+    }
+  } catch (err) {
+    console.log(`   ❌ Twitter API failed: ${err.message}`);
+  }
+
+  return { found: false, tweets: [], user: null };
+}
+
+const adapter = {
+  id: 'twitter',
+  name: 'Twitter',
+  icon: '𝕏',
+  color: '#1da1f2',
+  weight: 0.30,
+  cacheTtl: 15 * 60 * 1000,
+  tuning: TUNING,
+  scoring: tuning => ({
+    formula: `Score = 50 + (nicePoints - naughtyPoints) × ${tuning.points}`,
+    description: 'Lexicon sentiment over tweet text, with negation ("not great"), intensifiers and emoji.',
+    factors: [
+      { name: 'Nice Words', key: 'niceCount', icon: '😇', type: 'nice', desc: 'Weighted words like: love, grateful, thank you, amazing, 🙏' },
+      { name: 'Naughty Words', key: 'naughtyCount', icon: '😈', type: 'naughty', desc: 'Weighted words like: hate, stupid, terrible, loser, 😡' }
+    ]
+  }),
+  llm: { kind: 'tweet', texts: data => data.tweets.map(tweet => tweet.text) },
+  timeline: {
+    items: data => data.tweets,
+    date: tweet => tweet.date || tweet.created_at,
+    filter: (data, keep) => ({ ...data, tweets: data.tweets.filter(keep) })
+  },
+  fetch: fetchTwitterData,
+  analyze: (data, options) => analyzeTweets(data.tweets, options),
+  profile: data => data.user
+};
+
+module.exports = {
+  adapter,
+  NITTER_INSTANCES,
+  nitterPool,
+  parseNitterRSS,
+  fetchNitterTweets,
+  initTwitterClient,
+  searchTwitterApi,
+  analyzeTweets
+};
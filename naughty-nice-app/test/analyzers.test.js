@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTweets } = require('../sources/twitter');
+const { analyzeRedditComments, adapter: redditAdapter } = require('../sources/reddit');
+const { applyWindow } = require('../lib/timeline');
+const { analyzeNewsArticles, adapter: newsAdapter } = require('../sources/news');
+const { analyzeGitHubData } = require('../sources/github');
+const { analyzeSentiment } = require('../lib/sentiment');
+const { analyzeSource } = require('../lib/run-sources');
+
+const NICE = 'Thank you so much, this is wonderful and kind';
+const NAUGHTY = 'You are a stupid idiot, this is terrible';
+
+// A scorer that ignores the lexicon, as the LLM classifier does
+const fixedScorer = score => () => ({ score, positive: Math.max(score, 0), negative: Math.max(-score, 0), matches: [] });
+
+test('analyzeSentiment strips suffixes without inventing matches', () => {
+  const terms = text => analyzeSentiment(text).matches.map(match => match.term);
+  assert.deepEqual(terms('caring helpers, she cares'), ['care', 'help', 'care']);
+  assert.deepEqual(terms('careers'), []);
+  assert.deepEqual(terms('a gentle caress'), []);
+});
+
+test('analyzeTweets scores nice tweets above naughty ones', () => {
+  const nice = analyzeTweets([{ text: NICE }, { text: NICE }]);
+  const naughty = analyzeTweets([{ text: NAUGHTY }, { text: NAUGHTY }]);
+
+  assert.equal(nice.verdict, 'NICE');
+  assert.equal(naughty.verdict, 'NAUGHTY');
+  assert.ok(nice.score > 50 && naughty.score < 50);
+  assert.equal(nice.totalTweetsAnalyzed, 2);
+  assert.equal(nice.niceExamples[0].text, NICE);
+  assert.equal(naughty.naughtyExamples[0].text, NAUGHTY);
+});
+
+test('analyzeTweets is neutral without tweets and clamps to 0-100', () => {
+  assert.equal(analyzeTweets([]).score, 50);
+  const flood = Array.from({ length: 50 }, () => ({ text: NAUGHTY }));
+  assert.equal(analyzeTweets(flood).score, 0);
+});
+
+test('analyzeTweets uses the given scorer and tuning', () => {
+  const result = analyzeTweets([{ text: 'anything' }], { scorer: fixedScorer(2), tuning: { points: 10 } });
+  assert.equal(result.score, 70);
+});
+
+test('analyzeRedditComments counts items, removals and karma per subreddit', () => {
+  const result = analyzeRedditComments([
+    { kind: 'comment', text: NICE, score: 25, subreddit: 'aww', link: 'https://reddit.test/1', createdAt: '2026-10-01T00:00:00Z', status: 'ok' },
+    { kind: 'comment', text: NAUGHTY, score: -5, subreddit: 'rant', link: 'https://reddit.test/2', createdAt: '2026-10-02T00:00:00Z', status: 'ok' },
+    { kind: 'post', text: '[removed]', score: 1, subreddit: 'rant', link: 'https://reddit.test/3', createdAt: '2026-10-03T00:00:00Z', status: 'removed' }
+  ]);
+
+  assert.equal(result.commentsAnalyzed, 2);
+  assert.equal(result.postsAnalyzed, 1);
+  assert.equal(result.removedCount, 1);
+  // +1 for the upvoted comment, -2 for the downvoted one, -1 for the removal
+  assert.equal(result.karmaPoints, -2);
+  assert.deepEqual(result.subreddits.map(entry => entry.subreddit), ['rant', 'aww']);
+  assert.ok(result.subreddits[0].points < 0 && result.subreddits[1].points > 0);
+});
+
+test('analyzeRedditComments is neutral without items', () => {
+  const result = analyzeRedditComments([]);
+  assert.equal(result.score, 50);
+  assert.equal(result.commentsAnalyzed, 0);
+});
+
+test('analyzeNewsArticles weighs recent coverage over old', () => {
+  const now = Date.now();
+  const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  const article = (title, date) => ({ title, url: `https://news.test/${encodeURIComponent(title)}`, publisher: 'news.test', date, snippet: '' });
+
+  const praisedRecently = analyzeNewsArticles([
+    article('Alice praised for generous charity work', daysAgo(1)),
+    article('Alice accused of fraud in terrible scandal', daysAgo(365))
+  ]);
+  const accusedRecently = analyzeNewsArticles([
+    article('Alice praised for generous charity work', daysAgo(365)),
+    article('Alice accused of fraud in terrible scandal', daysAgo(1))
+  ]);
+
+  assert.ok(praisedRecently.score > accusedRecently.score);
+  assert.equal(praisedRecently.articlesAnalyzed, 2);
+  assert.equal(praisedRecently.publishers, 1);
+});
+
+test('analyzeSource drops the news decay when the window applies its own half-life', async () => {
+  const now = Date.now();
+  const articles = [
+    { title: 'Local hero wins charity award', publisher: 'a.test', date: new Date(now - 2 * 86400000).toISOString(), snippet: '' },
+    { title: 'Scandal and fraud lawsuit', publisher: 'b.test', date: new Date(now - 5 * 86400000).toISOString(), snippet: '' }
+  ];
+  const tuningsSeen = [];
+  const adapter = {
+    ...newsAdapter,
+    analyze: (data, options) => {
+      tuningsSeen.push(options.tuning.recencyHalfLifeDays);
+      return newsAdapter.analyze(data, options);
+    }
+  };
+
+  await analyzeSource(adapter, { articles, found: true });
+  assert.ok(tuningsSeen.splice(0).every(days => days === newsAdapter.tuning.recencyHalfLifeDays));
+
+  await analyzeSource(adapter, { articles, found: true }, { window: { since: null, until: null, recencyHalfLifeDays: 60 } });
+  assert.ok(tuningsSeen.length > 0 && tuningsSeen.every(days => days === 0));
+});
+
+test('analyzeGitHubData rewards activity and kind comments, penalizes force pushes', () => {
+  const comment = body => ({ type: 'IssueCommentEvent', created_at: '2026-10-01T00:00:00Z', repo: { name: 'a/b' }, payload: { comment: { body, html_url: 'https://github.test/a/b/1' } } });
+  const base = { user: { login: 'alice', public_repos: 2, followers: 3 }, repos: [], stalePullRequests: { total: 0, examples: [] } };
+
+  const kind = analyzeGitHubData({ ...base, events: [comment('Thanks, great work!')] });
+  const rude = analyzeGitHubData({ ...base, events: [comment('This is stupid and terrible code')] });
+  assert.ok(kind.score > rude.score);
+  assert.equal(kind.commentsAnalyzed, 1);
+
+  const forcePush = { type: 'PushEvent', created_at: '2026-10-01T00:00:00Z', repo: { name: 'a/b' }, payload: { size: 1, forced: true } };
+  const pushed = analyzeGitHubData({ ...base, events: [forcePush] });
+  assert.equal(pushed.forcePushes, 1);
+});
+
+test('analyzeGitHubData evidence adds up to its capped penalties', () => {
+  const push = (id, repo) => ({ id, type: 'PushEvent', created_at: '2026-10-01T00:00:00Z', repo: { name: repo }, payload: { size: 1, forced: true } });
+  const events = Array.from({ length: 10 }, (_, i) => push(String(i), i % 2 ? 'a/b' : 'a/c'));
+  const result = analyzeGitHubData({
+    user: { login: 'alice', public_repos: 0, followers: 0 },
+    events,
+    repos: [],
+    stalePullRequests: { total: 10, examples: [] }
+  });
+
+  const pointsFor = signal => result.evidence.filter(item => item.signals.includes(signal)).reduce((sum, item) => sum + item.points, 0);
+  assert.equal(pointsFor('force_push'), -15);
+  assert.equal(pointsFor('stale_pull_requests'), -12);
+});
+
+test('analyzeGitHubData only counts branch moves the compare API confirmed as rewrites', () => {
+  const base = { user: { login: 'alice', public_repos: 2, followers: 3 }, repos: [], stalePullRequests: { total: 0, examples: [] } };
+  const push = (id, before, head) => ({ id, type: 'PushEvent', created_at: '2026-10-01T00:00:00Z', repo: { name: 'a/b' }, payload: { ref: 'refs/heads/main', before, head } });
+  // Newest first; the second push doesn't start where the first ended
+  const events = [push('2', 'c3', 'c4'), push('1', 'c1', 'c2')];
+
+  // Someone else pushed in between: ordinary collaboration
+  assert.equal(analyzeGitHubData({ ...base, events, rewrittenPushes: [] }).forcePushes, 0);
+  assert.equal(analyzeGitHubData({ ...base, events }).forcePushes, 0);
+  assert.equal(analyzeGitHubData({ ...base, events, rewrittenPushes: ['2'] }).forcePushes, 1);
+});
+
+test('analyzeGitHubData is neutral without a user', () => {
+  assert.equal(analyzeGitHubData({ user: null, events: [] }).score, 50);
+});
+
+test('applyWindow reports when Reddit paging stopped short of the window', () => {
+  const comment = createdAt => ({ kind: 'comment', text: 'Thanks!', score: 1, subreddit: 'a', createdAt, status: 'ok' });
+  const data = {
+    comments: [comment('2026-09-20T00:00:00.000Z'), comment('2026-08-01T00:00:00.000Z')],
+    posts: [],
+    window: { maxItems: 300, since: '2026-07-21T00:00:00.000Z', truncated: true },
+    found: true
+  };
+  const thisYear = { since: '2026-01-01T00:00:00.000Z', until: null };
+
+  assert.equal(applyWindow(redditAdapter, data, thisYear).coveredSince, '2026-08-01T00:00:00.000Z');
+  assert.equal(applyWindow(redditAdapter, data, { since: '2026-09-01T00:00:00.000Z', until: null }).coveredSince, null);
+  // They ran out of history before the cutoff: everything was read
+  assert.equal(applyWindow(redditAdapter, { ...data, window: { ...data.window, truncated: false } }, thisYear).coveredSince, null);
+});
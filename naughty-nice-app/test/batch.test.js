@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { leaderboardToCsv } = require('../lib/batch');
+
+const row = (username, name) => ({
+  rank: 1,
+  username,
+  name,
+  finalScore: 70,
+  verdict: 'NICE',
+  sourcesFound: 1,
+  breakdown: { github: { score: 70 } },
+  personas: []
+});
+
+test('leaderboardToCsv keeps profile names from running as spreadsheet formulas', () => {
+  const csv = leaderboardToCsv([row('comet', '=HYPERLINK("http://evil.test","Click me")')]);
+  const line = csv.split('\n')[1];
+
+  assert.ok(line.includes(`"'=HYPERLINK(""http://evil.test"",""Click me"")"`));
+  assert.ok(!line.split(',').some(cell => /^"?[=+\-@]/.test(cell)));
+  assert.equal(leaderboardToCsv([row('comet', '-1+1')]).split('\n')[1].split(',')[2], "'-1+1");
+});
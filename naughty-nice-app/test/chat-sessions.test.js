@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_SESSION_TURNS, createSession, getSession, deleteSession, recordExchange, historyFor, describeSession } = require('../lib/chat-sessions');
+
+test('recordExchange stores whole exchanges, with a placeholder for empty replies', () => {
+  const session = createSession();
+  assert.equal(recordExchange(session, { text: '@rudolph', content: 'Please analyze @rudolph: 1. "hi"' }, 'Nice!'), 'Nice!');
+
+  assert.deepEqual(session.turns.map(turn => turn.role), ['user', 'assistant']);
+  assert.equal(session.turns[0].text, '@rudolph');
+
+  // Santa's last round was only tool calls
+  const stored = recordExchange(session, { text: 'again' }, '');
+  assert.ok(stored.length > 0);
+  assert.equal(session.turns[3].content, stored);
+  assert.throws(() => recordExchange(session, { text: ' ' }, 'Hi'), /user message/);
+  assert.equal(session.turns.length, 4);
+});
+
+test('recordExchange keeps at most MAX_SESSION_TURNS turns, dropping the oldest exchanges', () => {
+  const session = createSession();
+  for (let n = 0; n < MAX_SESSION_TURNS; n++) {
+    recordExchange(session, { text: `question ${n}` }, `answer ${n}`);
+  }
+
+  assert.ok(session.turns.length <= MAX_SESSION_TURNS);
+  assert.equal(session.turns[0].role, 'user');
+  assert.equal(session.turns.at(-1).text, `answer ${MAX_SESSION_TURNS - 1}`);
+});
+
+test('historyFor keeps the newest exchanges that fit the token budget', () => {
+  const session = createSession();
+  // Each exchange is 100 + 100 characters, about 50 tokens
+  for (const n of [1, 2, 3]) {
+    recordExchange(session, { text: `${n}`.repeat(100) }, `${n}`.repeat(100));
+  }
+
+  const { messages, dropped } = historyFor(session, { budget: 120 });
+  assert.equal(dropped, 2);
+  assert.deepEqual(messages.map(message => message.content[0]), ['2', '2', '3', '3']);
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+
+  assert.equal(historyFor(session, { budget: 10 }).messages.length, 0);
+});
+
+test('sessions can be described, looked up and deleted', () => {
+  const session = createSession();
+  const described = describeSession(session);
+  assert.equal(described.sessionId, session.id);
+  assert.deepEqual(described.turns, []);
+
+  assert.equal(getSession(session.id), session);
+  assert.equal(getSession('not-a-session'), null);
+  assert.equal(getSession({ id: session.id }), null);
+  assert.equal(deleteSession(session.id), true);
+  assert.equal(getSession(session.id), null);
+});
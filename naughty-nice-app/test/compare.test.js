@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareUsers } = require('../lib/compare');
+
+const row = (username, finalScore, breakdown = {}) => ({
+  username,
+  finalScore,
+  verdict: finalScore >= 50 ? 'NICE' : 'NAUGHTY',
+  sourcesFound: Object.values(breakdown).filter(Boolean).length,
+  personas: [],
+  breakdown
+});
+
+test('compareUsers leaves a contender with no data out of the overall category', () => {
+  const comparison = compareUsers([
+    row('ghost', 50),
+    row('grinch', 30, { twitter: { score: 30 } })
+  ]);
+
+  const overall = comparison.categories.find(category => category.category === 'overall');
+  assert.equal(overall.scores.ghost, null);
+  assert.equal(overall.winner, null);
+  assert.equal(comparison.winner, null);
+  assert.deepEqual(comparison.unscored, ['ghost']);
+  assert.equal(comparison.wins.ghost, 0);
+  assert.equal(comparison.pairs[0].differences.overall, null);
+});
+
+test('compareUsers only judges a category at least two contenders were scored in', () => {
+  const comparison = compareUsers([
+    row('dasher', 70, { twitter: { score: 70 }, github: { score: 90 } }),
+    row('dancer', 60, { twitter: { score: 60 } })
+  ]);
+
+  const judged = name => comparison.categories.find(category => category.category === name);
+  assert.equal(judged('twitter').winner, 'dasher');
+  assert.equal(judged('github').winner, null);
+  assert.equal(comparison.wins.dasher, 2);
+});
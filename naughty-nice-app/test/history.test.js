@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HISTORY_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'naughty-nice-')), 'history.jsonl');
+
+const { recordAnalysis, getHistory } = require('../lib/history');
+const { parseWindow } = require('../lib/timeline');
+
+const run = (endpoint, score, extra = {}) => recordAnalysis({
+  username: 'Comet',
+  endpoint,
+  score,
+  verdict: score >= 50 ? 'NICE' : 'NAUGHTY',
+  breakdown: { twitter: { score, verdict: 'NICE' } },
+  profile: 'default',
+  ...extra
+});
+
+test('getHistory only compares runs with the same endpoint, profile, mode and window', async () => {
+  await run('analyze-all', 60);
+  await run('analyze', 20);
+  await run('analyze-all', 40, { window: { since: '2026-01-01T00:00:00.000Z', until: null, recencyHalfLifeDays: null } });
+  await run('analyze-all', 70, { profile: 'strict' });
+  await run('analyze-all', 30, { mode: 'llm' });
+  await run('analyze-all', 65);
+
+  const { runs, summary } = await getHistory('@comet');
+
+  assert.deepEqual(runs.map(entry => entry.delta), [null, null, null, null, null, 5]);
+  assert.deepEqual(runs.at(-1).sourceDeltas, { twitter: 5 });
+  assert.equal(summary.runs, 6);
+  assert.equal(summary.comparableRuns, 2);
+  assert.equal(summary.change, 5);
+  assert.equal(summary.trend, 'nicer');
+  assert.equal(summary.lowest, 60);
+});
+
+test('getHistory rejects a limit that is not a positive integer', async () => {
+  assert.equal((await getHistory('comet', { limit: 2 })).runs.length, 2);
+  for (const limit of [0, -2, 1.5, NaN]) {
+    await assert.rejects(getHistory('comet', { limit }), /positive integer/);
+  }
+});
+
+test('getHistory compares relative windows by what was asked for, not their moving dates', async () => {
+  const now = Date.parse('2026-10-01T00:00:00Z');
+  await run('analyze-all', 50, { username: 'Blitzen', window: parseWindow({ since: '90d' }, now).window });
+  await run('analyze-all', 58, { username: 'Blitzen', window: parseWindow({ since: '90d' }, now + 24 * 60 * 60 * 1000).window });
+
+  const { runs, summary } = await getHistory('blitzen');
+  assert.notEqual(runs[0].window.since, runs[1].window.since);
+  assert.equal(runs[1].delta, 8);
+  assert.equal(summary.change, 8);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// No network: GitHub profiles come from seeded cache entries below
+process.env.UPSTREAM_MODE = 'replay';
+console.log = () => {};
+
+const { responseCache } = require('../lib/cache');
+const { resolveIdentities } = require('../lib/identity');
+
+function githubProfile(login, fields) {
+  return { found: true, user: { login, ...fields }, events: [], repos: [], stalePullRequests: null };
+}
+
+responseCache.seedFrom({
+  github: {
+    dasher: githubProfile('dasher', { name: 'Dasher Reindeer', twitter_username: 'dasher', blog: 'https://reddit.com/u/dasher_runs' }),
+    jack: githubProfile('jack', { name: 'Jack Frost', twitter_username: 'frosty', bio: 'reddit.com/u/icejack' }),
+    vixen: githubProfile('vixen', { name: 'Vixen Reindeer', twitter_username: 'vixen_official' })
+  }
+});
+
+const linkFor = (identity, key) => identity.links.find(link => link.key === key && link.via !== 'same handle');
+
+test('resolveIdentities uses links from a GitHub profile that names the entered handle', async () => {
+  const identity = await resolveIdentities('dasher');
+
+  assert.deepEqual(identity.resolved, { twitter: 'dasher', reddit: 'dasher_runs', github: 'dasher', newsQuery: 'Dasher Reindeer' });
+  assert.equal(linkFor(identity, 'reddit').applied, true);
+});
+
+test('resolveIdentities only suggests links from a same-name GitHub account it cannot confirm', async () => {
+  const identity = await resolveIdentities('jack');
+
+  // Someone else's GitHub "jack" must not decide who gets scored
+  assert.deepEqual(identity.resolved, { twitter: 'jack', reddit: 'jack', github: 'jack', newsQuery: 'jack' });
+  for (const key of ['twitter', 'reddit', 'newsQuery']) {
+    assert.equal(linkFor(identity, key).applied, false, `${key} should only be a suggestion`);
+  }
+});
+
+test('resolveIdentities trusts an explicit GitHub account but never replaces the entered handle', async () => {
+  const identity = await resolveIdentities('vix', { github: 'vixen' });
+
+  assert.equal(identity.resolved.github, 'vixen');
+  assert.equal(identity.resolved.newsQuery, 'Vixen Reindeer');
+  assert.equal(identity.resolved.twitter, 'vix');
+  assert.deepEqual(linkFor(identity, 'twitter'), { key: 'twitter', handle: 'vixen_official', confidence: 0.95, via: 'GitHub twitter_username', applied: false });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+
+const { createNitterPool } = require('../lib/nitter-pool');
+
+test('a host back from its cooldown takes one trial request at a time', async () => {
+  // No cooldown, so the benched host is due for its trial straight away
+  const pool = createNitterPool({ instances: ['a.test'], race: 1, failureThreshold: 1, cooldownMs: 0, maxCooldownMs: 0 });
+  pool.recordFailure('a.test', 'timeout', 100);
+
+  // Each lookup asks the pool for hosts the way fetchNitterTweets does, then
+  // holds its request open for a moment
+  const requests = [];
+  const lookup = async () => {
+    for (const host of pool.order()) {
+      if (!pool.claim(host)) continue;
+      requests.push(host);
+      try {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return host;
+      } finally {
+        pool.release(host);
+      }
+    }
+    return null;
+  };
+
+  const results = await Promise.all([lookup(), lookup()]);
+  assert.deepEqual(requests, ['a.test']);
+  assert.deepEqual(results, ['a.test', null]);
+
+  // The trial succeeds: the host takes any number of requests again
+  pool.recordSuccess('a.test', 100);
+  assert.equal(pool.claim('a.test'), true);
+  assert.equal(pool.claim('a.test'), true);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseNitterRSS } = require('../sources/twitter');
+const { parseDuckDuckGoResults, parseNewsFeed } = require('../sources/news');
+
+const rss = items => `<?xml version="1.0"?><rss><channel><title>feed</title>${items}</channel></rss>`;
+
+test('parseNitterRSS reads text, link and date from CDATA items', () => {
+  const tweets = parseNitterRSS(rss(`
+    <item>
+      <title><![CDATA[Happy holidays]]></title>
+      <description><![CDATA[<p>Happy holidays <a href="https://x.test">everyone</a>!</p>]]></description>
+      <link>https://nitter.test/alice/status/1</link>
+      <pubDate>Sat, 05 Oct 2026 10:00:00 GMT</pubDate>
+    </item>`), 'alice');
+
+  assert.deepEqual(tweets, [{
+    text: 'Happy holidays everyone !',
+    link: 'https://nitter.test/alice/status/1',
+    date: 'Sat, 05 Oct 2026 10:00:00 GMT',
+    isReply: false
+  }]);
+});
+
+test('parseNitterRSS decodes entities and falls back to the title', () => {
+  const [tweet] = parseNitterRSS(rss(`
+    <item><title><![CDATA[Tom &amp; Jerry say &quot;hi&quot; &lt;3 it&#39;s fine]]></title></item>`), 'alice');
+  assert.equal(tweet.text, 'Tom & Jerry say "hi" <3 it\'s fine');
+  assert.equal(tweet.link, '');
+  assert.equal(tweet.date, '');
+});
+
+test('parseNitterRSS flags replies from the title', () => {
+  const [tweet] = parseNitterRSS(rss(`
+    <item><title><![CDATA[R to @bob: no way]]></title><description><![CDATA[no way]]></description></item>`), 'alice');
+  assert.equal(tweet.isReply, true);
+});
+
+test('parseNitterRSS returns nothing for empty or itemless feeds', () => {
+  assert.deepEqual(parseNitterRSS('', 'alice'), []);
+  assert.deepEqual(parseNitterRSS(rss(''), 'alice'), []);
+  // Items whose text is only markup carry no tweet
+  assert.deepEqual(parseNitterRSS(rss('<item><description><![CDATA[<img src="x">]]></description></item>'), 'alice'), []);
+});
+
+test('parseDuckDuckGoResults extracts articles from result blocks', () => {
+  const html = `
+    <div class="result results_links results_links_deep web-result">
+      <a rel="nofollow" class="result__a" href="//duckduckgo.com/l/?uddg=https%3A%2F%2Fnews.example.com%2Fstory&amp;rut=x">Alice &amp; friends donate toys</a>
+      <span class="result__timestamp">2026-10-01T08:00:00</span>
+      <a class="result__snippet" href="#">A <b>generous</b> gift</a>
+    </div>`;
+  const [article] = parseDuckDuckGoResults(html);
+  assert.equal(article.title, 'Alice & friends donate toys');
+  assert.equal(article.url, 'https://news.example.com/story');
+  assert.equal(article.publisher, 'news.example.com');
+  assert.match(article.date, /^2026-10-01/);
+  assert.equal(parseDuckDuckGoResults('<html>no results</html>').length, 0);
+});
+
+test('parseNewsFeed reads RSS and Atom entries', () => {
+  const [fromRss] = parseNewsFeed(rss(`
+    <item><title>Alice wins award</title><link>https://rss.example.com/a</link>
+    <pubDate>Mon, 12 Oct 2026 09:00:00 GMT</pubDate><description>Well deserved</description></item>`));
+  assert.equal(fromRss.title, 'Alice wins award');
+  assert.equal(fromRss.url, 'https://rss.example.com/a');
+  assert.equal(fromRss.date, '2026-10-12T09:00:00.000Z');
+
+  const [fromAtom] = parseNewsFeed(`<feed><entry><title>Alice again</title>
+    <link href="https://atom.example.com/b"/><updated>2026-10-13T09:00:00Z</updated></entry></feed>`);
+  assert.equal(fromAtom.url, 'https://atom.example.com/b');
+  assert.equal(fromAtom.date, '2026-10-13T09:00:00.000Z');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateWeightedScore } = require('../lib/scoring');
+
+const WEIGHTS = { twitter: 0.4, reddit: 0.3, news: 0.1, github: 0.2 };
+
+test('calculateWeightedScore averages found sources by weight', () => {
+  const result = calculateWeightedScore({
+    twitter: { found: true, score: 80, verdict: 'NICE' },
+    reddit: { found: true, score: 40, verdict: 'NAUGHTY' },
+    news: { found: true, score: 50, verdict: 'NICE' },
+    github: { found: true, score: 60, verdict: 'NICE' }
+  }, WEIGHTS);
+
+  // 80*0.4 + 40*0.3 + 50*0.1 + 60*0.2 = 61
+  assert.equal(result.finalScore, 61);
+  assert.equal(result.verdict, 'NICE');
+  assert.equal(result.sourcesFound, 4);
+  assert.equal(result.explanation.redistributed, false);
+});
+
+test('calculateWeightedScore redistributes the weight of missing sources', () => {
+  const result = calculateWeightedScore({
+    twitter: { found: true, score: 80, verdict: 'NICE' },
+    reddit: { found: false },
+    news: { found: false, timedOut: true },
+    github: { found: true, score: 20, verdict: 'NAUGHTY' }
+  }, WEIGHTS);
+
+  // (80*0.4 + 20*0.2) / 0.6 = 60
+  assert.equal(result.finalScore, 60);
+  assert.equal(result.sourcesFound, 2);
+  assert.equal(result.explanation.redistributed, true);
+
+  const effective = Object.fromEntries(result.explanation.sources.map(step => [step.source, step.effectiveWeight]));
+  assert.equal(effective.twitter, 0.6667);
+  assert.equal(effective.github, 0.3333);
+  assert.equal(effective.reddit, 0);
+  assert.deepEqual(result.breakdown.news, { found: false, timedOut: true });
+  assert.equal(result.breakdown.reddit, undefined);
+});
+
+test('calculateWeightedScore is a neutral 50 when nothing was found', () => {
+  const result = calculateWeightedScore({ twitter: { found: false } }, WEIGHTS);
+  assert.equal(result.finalScore, 50);
+  assert.equal(result.sourcesFound, 0);
+  assert.equal(result.explanation.formula, 'No sources found → neutral 50');
+});
+
+test('calculateWeightedScore defaults to the adapters\' own weights', () => {
+  const result = calculateWeightedScore({ twitter: { found: true, score: 90, verdict: 'NICE' } });
+  assert.equal(result.finalScore, 90);
+  assert.equal(result.explanation.sources.find(step => step.source === 'twitter').effectiveWeight, 1);
+});
+
+test('calculateWeightedScore leaves excluded sources out of the score but in the breakdown', () => {
+  const result = calculateWeightedScore({
+    twitter: { score: 80, verdict: 'NICE' },
+    news: { score: 10, verdict: 'NAUGHTY', excluded: 'ambiguous news query' }
+  }, { twitter: 0.5, news: 0.5 });
+
+  assert.equal(result.finalScore, 80);
+  assert.equal(result.breakdown.news.score, 10);
+  assert.equal(result.breakdown.news.weight, '0%');
+  assert.equal(result.explanation.sources.find(step => step.source === 'news').status, 'excluded');
+});